@@ -0,0 +1,178 @@
+/**
+ * Service Worker for Gandhi Knowledge Graph
+ * Precaches the app shell and data files, keeps the journey's map tiles as they are
+ * used, and saves volumes of document text on request (see src/offline.js). Other
+ * content shards go to the network, so only the volumes asked for are kept offline.
+ */
+
+// Replaced with a hash of the build output (see vite.config.js), so every deploy
+// opens fresh caches and `activate` drops the previous ones
+const VERSION = '__BUILD_VERSION__';
+const SHELL_CACHE = `gandhi-shell-${VERSION}`;
+const DATA_CACHE = `gandhi-data-${VERSION}`;
+const TILE_CACHE = `gandhi-tiles-${VERSION}`;
+const CACHES = [SHELL_CACHE, DATA_CACHE, TILE_CACHE];
+const CONTENT_PATH = '/data/content/';
+
+// Oldest tiles are dropped past this many
+const MAX_TILES = 3000;
+
+const SHELL_URLS = [
+  '/',
+  '/index.html',
+  '/radial_tree.html',
+  '/journey.html',
+  '/index_landing.html',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png'
+];
+
+const DATA_URLS = [
+  '/data/nodes.json',
+  '/data/edges.json',
+  '/data/metadata.json',
+  '/data/gandhi_journey.json',
+  '/data/journey.json'
+];
+
+// Written by the build (see vite.config.js): every emitted page, script and stylesheet
+const PRECACHE_MANIFEST = '/precache-manifest.json';
+
+// Fonts, Leaflet and the tree page's d3 come from CDNs
+const CDN_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com', 'unpkg.com', 'd3js.org'];
+const TILE_HOST = 'basemaps.cartocdn.com';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const built = await fetch(PRECACHE_MANIFEST)
+      .then(response => response.ok ? response.json() : [])
+      .catch(() => []);
+
+    await cacheAll(SHELL_CACHE, [...SHELL_URLS, ...built]);
+    await cacheAll(DATA_CACHE, DATA_URLS);
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    const stale = names.filter(name => name.startsWith('gandhi-') && !CACHES.includes(name));
+    await carryOverVolumes(stale.filter(name => name.startsWith('gandhi-data-')));
+    await Promise.all(stale.map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (url.hostname.endsWith(TILE_HOST)) {
+    event.respondWith(cacheFirst(request, TILE_CACHE, { limit: MAX_TILES }));
+  } else if (sameOrigin && url.pathname.startsWith(CONTENT_PATH)) {
+    // Saved volumes never change for a given build; the rest aren't stored
+    event.respondWith(cachedOrNetwork(request, DATA_CACHE));
+  } else if (sameOrigin && url.pathname.startsWith('/data/')) {
+    event.respondWith(staleWhileRevalidate(request, DATA_CACHE));
+  } else if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  } else if (sameOrigin || CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, SHELL_CACHE));
+  }
+});
+
+// Pages ask for files (e.g. a volume's content shard) to be saved for offline reading
+self.addEventListener('message', (event) => {
+  const { type, urls } = event.data || {};
+  const port = event.ports[0];
+  if (type !== 'cacheUrls' || !port) return;
+
+  caches.open(DATA_CACHE)
+    .then(cache => cache.addAll(urls))
+    .then(
+      () => port.postMessage({ ok: true }),
+      (error) => port.postMessage({ ok: false, error: error.message })
+    );
+});
+
+// A missing file (e.g. a page this deployment doesn't build) shouldn't fail the install
+async function cacheAll(cacheName, urls) {
+  const cache = await caches.open(cacheName);
+  await Promise.all(urls.map(url => cache.add(url).catch(() => {})));
+}
+
+async function cacheFirst(request, cacheName, { limit } = {}) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    await cache.put(request, response.clone());
+    if (limit) trimCache(cache, limit);
+  }
+  return response;
+}
+
+async function cachedOrNetwork(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  return (await cache.match(request)) || fetch(request);
+}
+
+async function networkFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) cache.put(request, response.clone());
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function staleWhileRevalidate(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const update = fetch(request)
+    .then(response => {
+      if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+      return response;
+    })
+    .catch(error => {
+      if (!cached) throw error;
+      return cached;
+    });
+
+  return cached || update;
+}
+
+// Volumes saved under the previous build are saved again, refetched to match this one
+// (or copied as they were when offline)
+async function carryOverVolumes(oldCacheNames) {
+  const cache = await caches.open(DATA_CACHE);
+
+  for (const name of oldCacheNames) {
+    const oldCache = await caches.open(name);
+    const requests = (await oldCache.keys())
+      .filter(request => new URL(request.url).pathname.startsWith(CONTENT_PATH));
+
+    await Promise.all(requests.map(async request => {
+      const response = await fetch(request).catch(() => null);
+      await cache.put(request, response?.ok ? response : await oldCache.match(request));
+    }));
+  }
+}
+
+async function trimCache(cache, limit) {
+  // Keys come back in insertion order, so the oldest entries are first
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,99 @@
+/**
+ * Split document full text out of a data file into per-volume content shards
+ *
+ *   node scripts/shard_content.js public/data/nodes.json public/data/content
+ *   node scripts/shard_content.js public/data/radial_tree.json public/data/content
+ *
+ * Handles graph nodes (documents with `properties`) and the radial tree (leaves
+ * with a `doc`). The data file is rewritten without fullContent and footnotes.
+ * Existing shards in the output directory are merged into, so both datasets can share them.
+ * Entries are keyed by getContentKey; two documents with the same key in one volume
+ * fail the run rather than overwrite each other's text.
+ */
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import path from 'node:path';
+import { getContentKey, getShardName } from '../src/content.js';
+
+const [dataFile, outputDir = path.join(path.dirname(dataFile || ''), 'content')] = process.argv.slice(2);
+
+if (!dataFile) {
+  console.error('Usage: node scripts/shard_content.js <nodes.json|radial_tree.json> [output dir]');
+  process.exit(1);
+}
+
+function collectDocuments(data) {
+  // nodes.json is a flat list of nodes
+  if (Array.isArray(data)) {
+    return data.filter(node => node.type === 'document' && node.properties);
+  }
+
+  // radial_tree.json is a hierarchy whose leaves carry a `doc`
+  const documents = [];
+  const walk = (node) => {
+    if (node.doc) documents.push(node.doc);
+    (node.children || []).forEach(walk);
+  };
+  walk(data);
+  return documents;
+}
+
+async function main() {
+  const text = await readFile(dataFile, 'utf8');
+  const data = JSON.parse(text);
+  const shards = new Map();
+  const duplicates = [];
+
+  collectDocuments(data).forEach(doc => {
+    const props = doc.properties || doc;
+    if (!props.fullContent) return;
+
+    const shard = getShardName(props.volume);
+    const key = getContentKey(doc);
+    if (!shards.has(shard)) shards.set(shard, {});
+    if (key in shards.get(shard)) {
+      duplicates.push(`${shard}: ${key} (${props.title || doc.label})`);
+      return;
+    }
+
+    shards.get(shard)[key] = {
+      fullContent: props.fullContent,
+      ...(props.footnotes && Object.keys(props.footnotes).length ? { footnotes: props.footnotes } : {})
+    };
+
+    delete props.fullContent;
+    delete props.footnotes;
+  });
+
+  if (duplicates.length) {
+    throw new Error(`${duplicates.length} documents share a content key with another in their volume:\n  ${duplicates.join('\n  ')}`);
+  }
+
+  if (shards.size === 0) {
+    console.log(`No full text found in ${dataFile} (already sharded?)`);
+    return;
+  }
+
+  await mkdir(outputDir, { recursive: true });
+
+  let documentCount = 0;
+  for (const [name, contents] of shards) {
+    const file = path.join(outputDir, name);
+    const existing = existsSync(file) ? JSON.parse(await readFile(file, 'utf8')) : {};
+    const merged = { ...existing, ...contents };
+    documentCount += Object.keys(contents).length;
+    await writeFile(file, JSON.stringify(merged));
+  }
+
+  // Keep the data file's formatting (nodes.json is indented, radial_tree.json is not)
+  const indent = text.startsWith('[\n') || text.startsWith('{\n') ? 2 : 0;
+  await writeFile(dataFile, JSON.stringify(data, null, indent) + (text.endsWith('\n') ? '\n' : ''));
+
+  console.log(`Moved the text of ${documentCount} documents into ${shards.size} shards in ${outputDir}`);
+}
+
+main().catch(error => {
+  console.error('Sharding failed:', error);
+  process.exit(1);
+});
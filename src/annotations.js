@@ -0,0 +1,489 @@
+/**
+ * Annotations for Gandhi Knowledge Graph
+ * Highlights and notes on document text, stored locally in IndexedDB
+ *
+ * Annotations are anchored by character offsets into the rendered document text,
+ * with the quoted text kept alongside so they can be re-anchored when the
+ * same document is rendered differently (reading panel vs. radial tree viewer).
+ */
+
+import { escapeHtml } from './search.js';
+import { downloadFile } from './export.js';
+
+const DB_NAME = 'gandhi-annotations';
+const DB_VERSION = 1;
+const STORE_NAME = 'annotations';
+
+export const HIGHLIGHT_COLORS = ['yellow', 'green', 'blue', 'pink'];
+
+export class AnnotationStore {
+  constructor() {
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          store.createIndex('docKey', 'docKey');
+          store.createIndex('tags', 'tags', { multiEntry: true });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.dbPromise;
+  }
+
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = operation(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+    });
+  }
+
+  getAll() {
+    return this.run('readonly', store => store.getAll());
+  }
+
+  getForDocument(docKey) {
+    return this.run('readonly', store => store.index('docKey').getAll(docKey));
+  }
+
+  async save(annotation) {
+    const now = new Date().toISOString();
+    const record = {
+      ...annotation,
+      id: annotation.id || `annotation_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      created: annotation.created || now,
+      updated: now
+    };
+
+    await this.run('readwrite', store => store.put(record));
+    this.notify();
+    return record;
+  }
+
+  async delete(id) {
+    await this.run('readwrite', store => store.delete(id));
+    this.notify();
+  }
+
+  /**
+   * Merge a shared annotation set; existing annotations with the same id are replaced
+   */
+  async importAnnotations(data) {
+    const annotations = Array.isArray(data) ? data : data?.annotations;
+    if (!Array.isArray(annotations)) {
+      throw new Error('Not an annotation export: expected an "annotations" array');
+    }
+
+    const valid = annotations
+      .filter(a =>
+        a && a.id && a.docKey && Number.isInteger(a.start) && Number.isInteger(a.end) && typeof a.quote === 'string'
+      )
+      .map(normalizeAnnotation);
+
+    await this.run('readwrite', store => {
+      valid.forEach(annotation => store.put(annotation));
+    });
+    this.notify();
+    return valid.length;
+  }
+
+  async exportAnnotations() {
+    return {
+      version: 1,
+      exported: new Date().toISOString(),
+      annotations: await this.getAll()
+    };
+  }
+
+  notify() {
+    document.dispatchEvent(new CustomEvent('annotationsChanged'));
+  }
+}
+
+/**
+ * Coerce an imported record to the shape the panel and popover rely on:
+ * string note and titles, a tag array of strings, a known color and ISO timestamps
+ */
+function normalizeAnnotation(annotation) {
+  const toIso = (value, fallback) => {
+    const date = new Date(value);
+    return value != null && !Number.isNaN(date.getTime()) ? date.toISOString() : fallback;
+  };
+  const updated = toIso(annotation.updated, toIso(annotation.created, new Date().toISOString()));
+
+  return {
+    ...annotation,
+    id: String(annotation.id),
+    docKey: String(annotation.docKey),
+    docTitle: typeof annotation.docTitle === 'string' ? annotation.docTitle : '',
+    docDate: typeof annotation.docDate === 'string' ? annotation.docDate : '',
+    note: typeof annotation.note === 'string' ? annotation.note : '',
+    tags: Array.isArray(annotation.tags)
+      ? annotation.tags.filter(tag => typeof tag === 'string' && tag.trim()).map(tag => tag.trim())
+      : [],
+    color: HIGHLIGHT_COLORS.includes(annotation.color) ? annotation.color : HIGHLIGHT_COLORS[0],
+    created: toIso(annotation.created, updated),
+    updated
+  };
+}
+
+/**
+ * Documents are identified by title and date, which both datasets share
+ * (graph nodes use ids like "doc_12", radial tree leaves have no ids)
+ */
+export function getDocumentKey(doc) {
+  const props = doc.properties || doc;
+  const title = String(props.title || doc.label || '').replace(/\s+/g, ' ').trim().toUpperCase();
+  return `${title}|${props.date || ''}`;
+}
+
+/**
+ * Make a rendered document's text annotatable: draws stored highlights,
+ * and opens the annotation popover on text selection or highlight click.
+ * Resolves once highlights are drawn.
+ */
+export async function attachAnnotator(container, doc, store, options = {}) {
+  const docKey = getDocumentKey(doc);
+  const props = doc.properties || doc;
+
+  const redraw = async () => {
+    if (!container.isConnected) {
+      document.removeEventListener('annotationsChanged', redraw);
+      return;
+    }
+    try {
+      drawHighlights(container, await store.getForDocument(docKey));
+    } catch (error) {
+      console.error('Failed to load annotations:', error);
+    }
+  };
+
+  container.addEventListener('mouseup', () => {
+    const selection = getSelectionOffsets(container);
+    if (!selection) return;
+
+    openPopover(selection.rect, {
+      docKey,
+      docTitle: String(props.title || doc.label || '').replace(/\s+/g, ' ').trim(),
+      docDate: props.date || '',
+      start: selection.start,
+      end: selection.end,
+      quote: selection.quote,
+      note: '',
+      tags: [],
+      color: HIGHLIGHT_COLORS[0]
+    }, store);
+  });
+
+  container.addEventListener('click', async (event) => {
+    const mark = event.target.closest('mark.annotation-highlight');
+    if (!mark || !window.getSelection().isCollapsed) return;
+
+    const annotations = await store.getForDocument(docKey);
+    const annotation = annotations.find(a => a.id === mark.dataset.annotationId);
+    if (annotation) openPopover(mark.getBoundingClientRect(), annotation, store);
+  });
+
+  document.addEventListener('annotationsChanged', redraw);
+  await redraw();
+
+  if (options.focus) focusAnnotation(container, options.focus);
+}
+
+export function focusAnnotation(container, id) {
+  const mark = container.querySelector(`mark[data-annotation-id="${CSS.escape(id)}"]`);
+  if (!mark) return;
+
+  mark.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  mark.classList.add('focused');
+  setTimeout(() => mark.classList.remove('focused'), 2000);
+}
+
+/**
+ * Character offsets of the current selection within the container's text
+ */
+function getSelectionOffsets(container) {
+  const selection = window.getSelection();
+  if (!selection || selection.isCollapsed || selection.rangeCount === 0) return null;
+
+  const range = selection.getRangeAt(0);
+  if (!container.contains(range.commonAncestorContainer)) return null;
+
+  const quote = range.toString();
+  if (!quote.trim()) return null;
+
+  const before = document.createRange();
+  before.selectNodeContents(container);
+  before.setEnd(range.startContainer, range.startOffset);
+  const start = before.toString().length;
+
+  return {
+    start,
+    end: start + quote.length,
+    quote,
+    rect: range.getBoundingClientRect()
+  };
+}
+
+/**
+ * Find where an annotation sits in the text: its stored offsets if the quote still
+ * matches there, otherwise the occurrence of the quote closest to them
+ */
+function anchorAnnotation(text, annotation) {
+  if (text.slice(annotation.start, annotation.end) === annotation.quote) {
+    return [annotation.start, annotation.end];
+  }
+
+  let best = null;
+  let index = text.indexOf(annotation.quote);
+  while (index !== -1) {
+    if (best === null || Math.abs(index - annotation.start) < Math.abs(best - annotation.start)) {
+      best = index;
+    }
+    index = text.indexOf(annotation.quote, index + 1);
+  }
+
+  return best === null ? null : [best, best + annotation.quote.length];
+}
+
+function drawHighlights(container, annotations) {
+  // Remove existing highlights, merging their text back
+  container.querySelectorAll('mark.annotation-highlight').forEach(mark => {
+    mark.replaceWith(...mark.childNodes);
+  });
+  container.normalize();
+
+  const text = container.textContent;
+  annotations.forEach(annotation => {
+    const anchor = anchorAnnotation(text, annotation);
+    if (!anchor) return;
+    wrapTextRange(container, anchor[0], anchor[1], mark => {
+      mark.className = `annotation-highlight highlight-${annotation.color || HIGHLIGHT_COLORS[0]}`;
+      mark.classList.toggle('has-note', !!annotation.note);
+      mark.dataset.annotationId = annotation.id;
+      if (annotation.note) mark.title = annotation.note;
+    });
+  });
+}
+
+/**
+ * Wrap the text between two character offsets of a container in elements made by
+ * `decorate` - one per text node the range crosses, so existing markup is kept
+ */
+export function wrapTextRange(container, start, end, decorate, tagName = 'mark') {
+  const walker = document.createTreeWalker(container, NodeFilter.SHOW_TEXT);
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  let offset = 0;
+  textNodes.forEach(node => {
+    const nodeStart = offset;
+    const nodeEnd = offset + node.length;
+    offset = nodeEnd;
+
+    if (nodeEnd <= start || nodeStart >= end) return;
+
+    // Split the text node down to the part inside the range
+    let target = node;
+    if (start > nodeStart) target = target.splitText(start - nodeStart);
+    if (end < nodeEnd) target.splitText(end - Math.max(start, nodeStart));
+
+    const mark = document.createElement(tagName);
+    decorate(mark);
+    target.replaceWith(mark);
+    mark.appendChild(target);
+  });
+}
+
+function openPopover(rect, annotation, store) {
+  closePopover();
+
+  const popover = document.createElement('div');
+  popover.className = 'annotation-popover';
+  popover.innerHTML = `
+    <blockquote class="annotation-quote">${escapeHtml(truncate(annotation.quote, 160))}</blockquote>
+    <textarea class="annotation-note" rows="3" placeholder="Add a note (optional)">${escapeHtml(annotation.note)}</textarea>
+    <input type="text" class="annotation-tags" placeholder="Tags, comma separated" value="${escapeHtml(annotation.tags.join(', '))}">
+    <div class="annotation-colors">
+      ${HIGHLIGHT_COLORS.map(color => `
+        <label class="annotation-color highlight-${color}" title="${color}">
+          <input type="radio" name="annotation-color" value="${color}" ${color === annotation.color ? 'checked' : ''}>
+        </label>
+      `).join('')}
+    </div>
+    <div class="annotation-actions">
+      <button data-action="save">${annotation.id ? 'Save' : 'Highlight'}</button>
+      ${annotation.id ? '<button data-action="delete">Delete</button>' : ''}
+      <button data-action="cancel">Cancel</button>
+    </div>
+  `;
+  document.body.appendChild(popover);
+
+  // Below the selection, kept inside the viewport
+  const top = Math.min(rect.bottom + 8, window.innerHeight - popover.offsetHeight - 8);
+  const left = Math.min(Math.max(8, rect.left), window.innerWidth - popover.offsetWidth - 8);
+  popover.style.top = `${Math.max(8, top)}px`;
+  popover.style.left = `${left}px`;
+
+  popover.querySelector('[data-action="save"]').addEventListener('click', async () => {
+    try {
+      await store.save({
+        ...annotation,
+        note: popover.querySelector('.annotation-note').value.trim(),
+        tags: parseTags(popover.querySelector('.annotation-tags').value),
+        color: popover.querySelector('input[name="annotation-color"]:checked')?.value || HIGHLIGHT_COLORS[0]
+      });
+      window.getSelection().removeAllRanges();
+      closePopover();
+    } catch (error) {
+      console.error('Failed to save annotation:', error);
+    }
+  });
+
+  popover.querySelector('[data-action="delete"]')?.addEventListener('click', async () => {
+    try {
+      await store.delete(annotation.id);
+      closePopover();
+    } catch (error) {
+      console.error('Failed to delete annotation:', error);
+    }
+  });
+
+  popover.querySelector('[data-action="cancel"]').addEventListener('click', closePopover);
+  popover.addEventListener('keydown', (event) => {
+    if (event.key === 'Escape') closePopover();
+  });
+
+  // Close when clicking elsewhere (deferred so the opening click doesn't count)
+  setTimeout(() => document.addEventListener('mousedown', onOutsideMousedown), 0);
+}
+
+function onOutsideMousedown(event) {
+  if (!event.target.closest('.annotation-popover')) closePopover();
+}
+
+function closePopover() {
+  document.querySelectorAll('.annotation-popover').forEach(popover => popover.remove());
+  document.removeEventListener('mousedown', onOutsideMousedown);
+}
+
+/**
+ * Notes sidebar: every annotation, filterable by tag, with JSON import/export
+ */
+export function renderNotesPanel(container, store, { onOpen }) {
+  let activeTag = '';
+
+  container.innerHTML = `
+    <select class="notes-tag-filter" aria-label="Filter notes by tag"></select>
+    <ul class="notes-list"></ul>
+    <div class="notes-actions">
+      <button class="notes-export">Export JSON</button>
+      <button class="notes-import">Import JSON</button>
+      <input type="file" class="notes-import-file" accept="application/json,.json" hidden>
+    </div>
+    <div class="notes-status"></div>
+  `;
+
+  const tagFilter = container.querySelector('.notes-tag-filter');
+  const list = container.querySelector('.notes-list');
+  const fileInput = container.querySelector('.notes-import-file');
+  const status = container.querySelector('.notes-status');
+
+  const render = async () => {
+    let annotations;
+    try {
+      annotations = await store.getAll();
+    } catch (error) {
+      console.error('Failed to load annotations:', error);
+      list.innerHTML = '<li class="notes-empty">Notes are unavailable in this browser.</li>';
+      return;
+    }
+
+    const tagCounts = new Map();
+    annotations.forEach(a => a.tags.forEach(tag => tagCounts.set(tag, (tagCounts.get(tag) || 0) + 1)));
+    if (activeTag && !tagCounts.has(activeTag)) activeTag = '';
+
+    tagFilter.innerHTML = `
+      <option value="">All tags (${annotations.length})</option>
+      ${[...tagCounts.entries()].sort((a, b) => a[0].localeCompare(b[0])).map(([tag, count]) => `
+        <option value="${escapeHtml(tag)}" ${tag === activeTag ? 'selected' : ''}>${escapeHtml(tag)} (${count})</option>
+      `).join('')}
+    `;
+
+    const visible = annotations
+      .filter(a => !activeTag || a.tags.includes(activeTag))
+      .sort((a, b) => b.updated.localeCompare(a.updated));
+
+    if (visible.length === 0) {
+      list.innerHTML = '<li class="notes-empty">Select text in a document to add a highlight or note.</li>';
+      return;
+    }
+
+    list.innerHTML = visible.map(a => `
+      <li class="notes-item" data-annotation-id="${escapeHtml(a.id)}">
+        <div class="notes-quote highlight-${a.color || HIGHLIGHT_COLORS[0]}">${escapeHtml(truncate(a.quote, 120))}</div>
+        ${a.note ? `<div class="notes-text">${escapeHtml(a.note)}</div>` : ''}
+        <div class="notes-meta">
+          ${escapeHtml(a.docTitle)}${a.docDate ? ` • ${escapeHtml(a.docDate)}` : ''}
+          ${a.tags.map(tag => `<span class="notes-tag">${escapeHtml(tag)}</span>`).join('')}
+        </div>
+      </li>
+    `).join('');
+
+    list.querySelectorAll('.notes-item').forEach(item => {
+      item.addEventListener('click', () => {
+        onOpen(visible.find(a => a.id === item.dataset.annotationId));
+      });
+    });
+  };
+
+  tagFilter.addEventListener('change', () => {
+    activeTag = tagFilter.value;
+    render();
+  });
+
+  container.querySelector('.notes-export').addEventListener('click', async () => {
+    try {
+      const data = await store.exportAnnotations();
+      downloadFile('gandhi-annotations.json', JSON.stringify(data, null, 2), 'application/json');
+    } catch (error) {
+      console.error('Failed to export annotations:', error);
+    }
+  });
+
+  container.querySelector('.notes-import').addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files[0];
+    fileInput.value = '';
+    if (!file) return;
+
+    try {
+      const count = await store.importAnnotations(JSON.parse(await file.text()));
+      status.textContent = `Imported ${count} annotations`;
+    } catch (error) {
+      console.error('Failed to import annotations:', error);
+      status.textContent = `Could not import annotations: ${error.message}`;
+    }
+  });
+
+  document.addEventListener('annotationsChanged', render);
+  render();
+}
+
+function parseTags(value) {
+  return [...new Set(value.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean))];
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+}
@@ -0,0 +1,368 @@
+/**
+ * Canvas Renderer for the Gandhi Knowledge Graph
+ * Same API as KnowledgeGraph, drawn to a single <canvas> with quadtree hit-testing,
+ * for graphs too large to keep an SVG element per node and edge
+ *
+ * There is deliberately no WebGL backend: labels and highlight fades would still need
+ * a 2D layer on top, and dropping the per-element DOM was what the SVG renderer needed.
+ * Drawing is confined to drawLinks/drawNodes/drawLabels, so a WebGL subclass could
+ * replace the first two and keep the hit-testing, zoom and drag here.
+ */
+
+import * as d3 from 'd3';
+import { KnowledgeGraph } from './graph.js';
+
+// Matches the .entering fade-in and .dimmed / .highlighted styles in main.css
+const FADE_IN_MS = 800;
+const DIMMED_NODE_OPACITY = 0.2;
+const DIMMED_LINK_OPACITY = 0.05;
+const HIGHLIGHTED_LINK_OPACITY = 0.9;
+const HIGHLIGHTED_LINK_WIDTH = 2.5;
+const LABEL_COLOR = '#E2E8F0';
+const FALLBACK_LINK_COLOR = 'rgba(100, 163, 184, 0.3)';
+
+export class CanvasKnowledgeGraph extends KnowledgeGraph {
+  init() {
+    // Zoom and transitions are bound to the canvas in place of the SVG,
+    // so the inherited zoom methods (zoomIn, setTransform, focusNode...) work unchanged
+    this.container.select('svg').style('display', 'none');
+    this.canvas = this.container.append('canvas').attr('class', 'graph-canvas');
+    this.svg = this.canvas;
+    this.context = this.canvas.node().getContext('2d');
+    this.sizeCanvas();
+
+    this.transform = d3.zoomIdentity;
+    this.currentZoom = 1;
+    this.highlight = null;
+    this.hoveredNode = null;
+    this.enterTimes = new Map();
+    this.fontFamily = getComputedStyle(document.documentElement).getPropertyValue('--font-body').trim() || 'sans-serif';
+
+    // Drag is registered before zoom so pressing on a node drags it instead of panning
+    this.canvas.call(this.drag());
+
+    const zoom = d3.zoom()
+      .scaleExtent([0.1, 10])
+      .on('zoom', (event) => {
+        this.transform = event.transform;
+        this.currentZoom = event.transform.k;
+        this.scheduleDraw();
+      });
+
+    this.canvas.call(zoom);
+    this.zoom = zoom;
+
+    this.canvas
+      .on('mousemove', (event) => this.onPointerMove(event))
+      .on('mouseleave', (event) => this.setHoveredNode(event, null))
+      .on('click', (event) => {
+        const node = this.findNodeAt(event);
+        if (node) this.onNodeClick(event, node);
+      });
+
+    this.displaySettings = {
+      nodeOpacity: 1.0,
+      linkOpacity: 0.5,
+      linkThickness: 1.5
+    };
+
+    this.createSimulation();
+  }
+
+  sizeCanvas() {
+    const ratio = window.devicePixelRatio || 1;
+    this.pixelRatio = ratio;
+    this.canvas
+      .attr('width', Math.round(this.width * ratio))
+      .attr('height', Math.round(this.height * ratio))
+      .style('width', `${this.width}px`)
+      .style('height', `${this.height}px`);
+  }
+
+  resize() {
+    this.updateDimensions();
+    this.sizeCanvas();
+
+    this.simulation
+      .force('center', d3.forceCenter(this.width / 2, this.height / 2).strength(0.05))
+      .force('x', d3.forceX(d => this.getTimelineX(d)).strength(0.8))
+      .force('y', d3.forceY(d => this.getTimelineY(d)).strength(0.3))
+      .alpha(0.3)
+      .restart();
+
+    this.scheduleDraw();
+  }
+
+  render() {
+    console.log('Rendering canvas graph with', this.nodes.length, 'nodes and', this.edges.length, 'edges');
+
+    // Nodes and edges new since the last render fade in
+    const now = performance.now();
+    const previousNodeIds = this.renderedNodeIds || new Set();
+    const previousEdgeIds = this.renderedEdgeIds || new Set();
+    this.enterTimes = new Map();
+    this.nodes.forEach(n => { if (!previousNodeIds.has(n.id)) this.enterTimes.set(n.id, now); });
+    this.edges.forEach(e => { if (!previousEdgeIds.has(e.id)) this.enterTimes.set(e.id, now); });
+
+    // Edge colors follow the target node, as in the SVG renderer
+    const nodesById = new Map(this.nodes.map(n => [n.id, n]));
+    this.edgeColors = new Map(this.edges.map(edge => {
+      const node = nodesById.get(edge.target.id || edge.target) || nodesById.get(edge.source.id || edge.source);
+      return [edge.id, node ? this.getNodeColor(node) : FALLBACK_LINK_COLOR];
+    }));
+
+    // Re-rendering clears the selection styling, like the SVG class reset
+    this.highlight = null;
+
+    this.simulation
+      .nodes(this.nodes)
+      .on('tick', () => {
+        this.quadtree = null;
+        this.scheduleDraw();
+      });
+
+    this.simulation.force('link').links(this.edges);
+    this.simulation.alpha(0.3).restart();
+
+    this.renderedNodeIds = new Set(this.nodes.map(n => n.id));
+    this.renderedEdgeIds = new Set(this.edges.map(e => e.id));
+    this.quadtree = null;
+    this.scheduleDraw();
+  }
+
+  scheduleDraw() {
+    if (this.drawRequested) return;
+    this.drawRequested = true;
+    requestAnimationFrame(() => {
+      this.drawRequested = false;
+      this.draw();
+    });
+  }
+
+  draw() {
+    const ctx = this.context;
+    const { x, y, k } = this.transform;
+    const now = performance.now();
+    let fading = false;
+
+    const fadeIn = (id) => {
+      const start = this.enterTimes.get(id);
+      if (start === undefined) return 1;
+      const t = (now - start) / FADE_IN_MS;
+      if (t >= 1) {
+        this.enterTimes.delete(id);
+        return 1;
+      }
+      fading = true;
+      return t;
+    };
+
+    ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    ctx.clearRect(0, 0, this.width, this.height);
+    ctx.translate(x, y);
+    ctx.scale(k, k);
+
+    // Only nodes inside the viewport are drawn
+    const [left, top] = this.transform.invert([0, 0]);
+    const [right, bottom] = this.transform.invert([this.width, this.height]);
+    const margin = 40;
+    const visible = this.nodes.filter(n =>
+      n.x >= left - margin && n.x <= right + margin && n.y >= top - margin && n.y <= bottom + margin
+    );
+
+    this.drawLinks(ctx, fadeIn);
+    this.drawNodes(ctx, visible, fadeIn);
+    this.drawLabels(ctx, visible, fadeIn);
+
+    if (fading) this.scheduleDraw();
+  }
+
+  drawLinks(ctx, fadeIn) {
+    const { linkOpacity, linkThickness } = this.displaySettings;
+    const highlight = this.highlight;
+
+    // Edges sharing color, opacity and width are stroked as one path
+    const batches = new Map();
+    this.edges.forEach(edge => {
+      if (edge.source.x === undefined || edge.target.x === undefined) return;
+
+      const highlighted = highlight &&
+        (edge.source.id === highlight.nodeId || edge.target.id === highlight.nodeId);
+      const opacity = highlight
+        ? (highlighted ? HIGHLIGHTED_LINK_OPACITY : DIMMED_LINK_OPACITY)
+        : linkOpacity;
+      const color = this.edgeColors.get(edge.id) || FALLBACK_LINK_COLOR;
+      const width = highlighted
+        ? HIGHLIGHTED_LINK_WIDTH
+        : Math.max(Math.sqrt(edge.weight || 1) * linkThickness, linkThickness);
+      const alpha = Math.round(opacity * fadeIn(edge.id) * 20) / 20;
+
+      const key = `${color}|${alpha}|${width}`;
+      if (!batches.has(key)) batches.set(key, { color, alpha, width, edges: [] });
+      batches.get(key).edges.push(edge);
+    });
+
+    batches.forEach(({ color, alpha, width, edges }) => {
+      ctx.globalAlpha = alpha;
+      ctx.strokeStyle = color;
+      ctx.lineWidth = width;
+      ctx.beginPath();
+      edges.forEach(edge => {
+        ctx.moveTo(edge.source.x, edge.source.y);
+        ctx.lineTo(edge.target.x, edge.target.y);
+      });
+      ctx.stroke();
+    });
+  }
+
+  drawNodes(ctx, nodes, fadeIn) {
+    const highlight = this.highlight;
+
+    nodes.forEach(node => {
+      const dimmed = highlight && node.id !== highlight.nodeId && !highlight.nodes.has(node.id);
+      const hovered = node === this.hoveredNode;
+
+      ctx.globalAlpha = this.displaySettings.nodeOpacity *
+        (dimmed ? DIMMED_NODE_OPACITY : 1) *
+        (hovered ? 0.8 : 1) *
+        fadeIn(node.id);
+      ctx.fillStyle = this.getNodeColor(node);
+
+      ctx.beginPath();
+      ctx.arc(node.x, node.y, this.getNodeSize(node), 0, 2 * Math.PI);
+      ctx.fill();
+    });
+  }
+
+  drawLabels(ctx, nodes, fadeIn) {
+    const zoom = this.currentZoom;
+    const highlight = this.highlight;
+
+    ctx.fillStyle = LABEL_COLOR;
+    ctx.textAlign = 'center';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.9)';
+    ctx.shadowBlur = 2;
+
+    nodes.forEach(node => {
+      const size = this.getNodeSize(node);
+      const forced = node === this.hoveredNode || node.id === highlight?.nodeId;
+      if (!forced && !this.isLabelVisible(size, zoom)) return;
+
+      const dimmed = highlight && node.id !== highlight.nodeId && !highlight.nodes.has(node.id);
+      const baseSize = size > 5 ? 10 : 8;
+
+      ctx.globalAlpha = (dimmed ? DIMMED_NODE_OPACITY : 1) * fadeIn(node.id);
+      ctx.font = `500 ${Math.min(baseSize * Math.sqrt(zoom), 14)}px ${this.fontFamily}`;
+      ctx.fillText(node.label, node.x, node.y + size + 10);
+    });
+
+    ctx.shadowBlur = 0;
+    ctx.globalAlpha = 1;
+  }
+
+  isLabelVisible(size, zoom) {
+    // Same thresholds as KnowledgeGraph.updateLabelsVisibility
+    if (size >= 6) return true;
+    if (size >= 4 && zoom > 1) return true;
+    return zoom > 2;
+  }
+
+  updateLabelsVisibility() {
+    this.scheduleDraw();
+  }
+
+  findNodeAt(event) {
+    const [px, py] = this.transform.invert(d3.pointer(event, this.canvas.node()));
+
+    if (!this.quadtree) {
+      this.quadtree = d3.quadtree(this.nodes, d => d.x, d => d.y);
+      this.maxNodeSize = d3.max(this.nodes, d => this.getNodeSize(d)) || 0;
+    }
+
+    // Nearest centre within the largest radius, then check it actually covers the point
+    const node = this.quadtree.find(px, py, this.maxNodeSize + 2);
+    if (!node) return null;
+    return Math.hypot(node.x - px, node.y - py) <= this.getNodeSize(node) + 2 ? node : null;
+  }
+
+  onPointerMove(event) {
+    this.setHoveredNode(event, this.findNodeAt(event));
+  }
+
+  setHoveredNode(event, node) {
+    if (node) {
+      // Called on every move so the tooltip follows the pointer
+      this.onNodeHover(event, node);
+    } else if (this.hoveredNode) {
+      this.onNodeOut(event, this.hoveredNode);
+    }
+
+    if (node === this.hoveredNode) return;
+    this.hoveredNode = node;
+    this.canvas.style('cursor', node ? 'pointer' : null);
+    this.scheduleDraw();
+  }
+
+  drag() {
+    const canvas = () => this.canvas.node();
+    const pointer = (event) => this.transform.invert(d3.pointer(event, canvas()));
+
+    return d3.drag()
+      .container(canvas)
+      .subject((event) => this.findNodeAt(event.sourceEvent))
+      .on('start', (event) => {
+        if (!event.active) this.simulation.alphaTarget(0.3).restart();
+        event.subject.fx = event.subject.x;
+        event.subject.fy = event.subject.y;
+      })
+      .on('drag', (event) => {
+        [event.subject.fx, event.subject.fy] = pointer(event);
+      })
+      .on('end', (event) => {
+        if (!event.active) this.simulation.alphaTarget(0);
+        event.subject.fx = null;
+        event.subject.fy = null;
+      });
+  }
+
+  highlightConnections(node) {
+    // Links are highlighted by their endpoints as they are drawn
+    this.highlight = { nodeId: node.id, nodes: new Set(this.adjacency?.get(node.id)) };
+    this.scheduleDraw();
+  }
+
+  clearHighlight() {
+    this.selectedNode = null;
+    this.highlight = null;
+    this.scheduleDraw();
+  }
+
+  getContentBounds() {
+    if (this.nodes.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+
+    const [x0, x1] = d3.extent(this.nodes, d => d.x);
+    const [y0, y1] = d3.extent(this.nodes, d => d.y);
+    return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+  }
+
+  destroy() {
+    this.stopPlayback();
+    this.simulation.stop();
+    this.canvas.remove();
+  }
+
+  updateNodeOpacity(opacity) {
+    super.updateNodeOpacity(opacity);
+    this.scheduleDraw();
+  }
+
+  updateLinkOpacity(opacity) {
+    super.updateLinkOpacity(opacity);
+    this.scheduleDraw();
+  }
+
+  updateLinkThickness(thickness) {
+    super.updateLinkThickness(thickness);
+    this.scheduleDraw();
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Chart Helpers for Gandhi Knowledge Graph
+ * The hover tooltip and the list of openable documents shared by the corpus views
+ * (timeline, concordance, term trends, theme pairs, theme streams)
+ */
+
+import * as d3 from 'd3';
+import { escapeHtml } from './search.js';
+
+/**
+ * Show the page's single tooltip next to the pointer; `html` must already be escaped
+ */
+export function showTooltip(event, html) {
+  const tooltip = d3.select('body').selectAll('.tooltip').data([0]);
+  const tooltipMerge = tooltip.enter().append('div').attr('class', 'tooltip').merge(tooltip);
+
+  tooltipMerge
+    .html(html)
+    .style('left', (event.pageX + 10) + 'px')
+    .style('top', (event.pageY + 10) + 'px')
+    .classed('visible', true);
+}
+
+export function hideTooltip() {
+  d3.select('.tooltip').classed('visible', false);
+}
+
+/**
+ * Documents as a list of title buttons with type and date, opened through onDocumentClick
+ */
+export function formatDocumentList(documents) {
+  return `
+    <ul class="document-list">
+      ${documents.map(doc => `
+        <li>
+          <button data-doc-id="${escapeHtml(doc.id)}">${escapeHtml(doc.properties.title || doc.label)}</button>
+          <span class="document-list-meta">${escapeHtml([doc.properties.docType, doc.properties.date].filter(Boolean).join(' • '))}</span>
+        </li>
+      `).join('')}
+    </ul>
+  `;
+}
+
+/**
+ * Open the document behind any [data-doc-id] button clicked inside `element`,
+ * looked up in the view's current documents
+ */
+export function onDocumentClick(element, getDocuments, onOpenDocument) {
+  element.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-doc-id]');
+    const doc = button && getDocuments().find(d => d.id === button.dataset.docId);
+    if (doc) onOpenDocument(doc);
+  });
+}
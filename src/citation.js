@@ -0,0 +1,254 @@
+/**
+ * Citation Generator for Gandhi Knowledge Graph
+ * Chicago, MLA, APA, BibTeX and RIS entries for documents in
+ * The Collected Works of Mahatma Gandhi (CWMG)
+ */
+
+import { escapeHtml } from './search.js';
+import { parseDocumentDate, isValidDate, toIsoDate, MONTH_NAMES } from './dates.js';
+
+const CWMG = {
+  title: 'The Collected Works of Mahatma Gandhi',
+  publisher: 'Publications Division, Government of India',
+  place: 'New Delhi',
+  years: '1958–94'
+};
+
+const AUTHOR = {
+  chicago: 'Gandhi, M. K.',
+  mla: 'Gandhi, Mohandas K.',
+  apa: 'Gandhi, M. K.'
+};
+
+// Italic spans are marked while building so the same entry renders as HTML or plain text
+const ITALIC_START = '\u0001';
+const ITALIC_END = '\u0002';
+const italic = (text) => `${ITALIC_START}${text}${ITALIC_END}`;
+
+export const CITATION_STYLES = {
+  chicago: { label: 'Chicago', extension: 'txt', format: formatChicago },
+  mla: { label: 'MLA', extension: 'txt', format: formatMLA },
+  apa: { label: 'APA', extension: 'txt', format: formatAPA },
+  bibtex: { label: 'BibTeX', extension: 'bib', format: formatBibTeX },
+  ris: { label: 'RIS', extension: 'ris', format: formatRIS }
+};
+
+// Lowercase words in titles unless they start the title
+const MINOR_WORDS = new Set([
+  'a', 'an', 'and', 'as', 'at', 'but', 'by', 'for', 'from', 'in', 'into',
+  'nor', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+/**
+ * Normalize a document from either dataset: graph nodes carry `properties`
+ * (docType, section), radial tree leaves carry `doc` fields (type, preview).
+ */
+export function toCitationSource(doc) {
+  const props = doc.properties || doc;
+  const present = (value) => value && !['none', 'unknown'].includes(String(value).toLowerCase())
+    ? String(value).replace(/\s+/g, ' ').trim()
+    : '';
+
+  const date = parseDocumentDate(props.date);
+  const year = isValidDate(date) ? date.getFullYear() : parseInt(props.year) || null;
+
+  return {
+    id: doc.id || '',
+    title: toTitleCase(present(props.title) || present(doc.label) || 'Untitled'),
+    docType: present(props.docType || props.type),
+    addressee: present(props.addressee),
+    source: present(props.source),
+    volume: present(props.volume),
+    section: present(props.section),
+    date: isValidDate(date) ? date : null,
+    year
+  };
+}
+
+export function formatCitation(doc, style) {
+  return stripItalics(CITATION_STYLES[style].format(toCitationSource(doc)));
+}
+
+export function formatCitationHtml(doc, style) {
+  return escapeHtml(CITATION_STYLES[style].format(toCitationSource(doc)))
+    .replace(new RegExp(ITALIC_START, 'g'), '<em>')
+    .replace(new RegExp(ITALIC_END, 'g'), '</em>');
+}
+
+/**
+ * Citations for many documents, one entry per paragraph (or record for BibTeX/RIS)
+ */
+export function formatCitations(docs, style) {
+  const entries = docs.map(doc => formatCitation(doc, style));
+  if (style === 'bibtex' || style === 'ris') return entries.join('\n\n') + '\n';
+
+  // Bibliography styles are alphabetized by title (the author is always Gandhi)
+  return entries.sort((a, b) => a.localeCompare(b)).join('\n\n') + '\n';
+}
+
+function formatChicago(c) {
+  const parts = [`${AUTHOR.chicago} “${c.title}.”`];
+  if (c.date) parts.push(`${formatChicagoDate(c.date)}.`);
+  if (c.source) parts.push(`${sentence(c.source)}`);
+  parts.push(`In ${italic(CWMG.title)}${c.volume ? `, vol. ${c.volume}` : ''}${c.section ? `, sec. ${c.section}` : ''}.`);
+  parts.push(`${CWMG.place}: ${CWMG.publisher}, ${CWMG.years}.`);
+  return parts.join(' ');
+}
+
+function formatMLA(c) {
+  const parts = [`${AUTHOR.mla} “${c.title}.”`];
+  if (c.date) parts.push(`${formatMLADate(c.date)}.`);
+  parts.push(`${italic(CWMG.title)},${c.volume ? ` vol. ${c.volume},` : ''} ${CWMG.publisher}, ${CWMG.years}${c.section ? `, sec. ${c.section}` : ''}.`);
+  if (c.source) parts.push(sentence(c.source));
+  return parts.join(' ');
+}
+
+function formatAPA(c) {
+  const date = c.date
+    ? `${c.date.getFullYear()}, ${MONTH_NAMES[c.date.getMonth()]} ${c.date.getDate()}`
+    : (c.year || 'n.d.');
+  const description = c.docType ? ` [${capitalize(c.docType.toLowerCase())}]` : '';
+  const parts = [
+    `${AUTHOR.apa} (${date}).`,
+    `${c.title}${description}.`,
+    `In ${italic(CWMG.title)}${formatAPALocation(c)}.`,
+    `${CWMG.publisher}.`
+  ];
+  if (c.source) parts.push(`(${c.source.replace(/\.$/, '')})`);
+  return parts.join(' ');
+}
+
+function formatAPALocation(c) {
+  const location = [c.volume && `Vol. ${c.volume}`, c.section && `Sec. ${c.section}`].filter(Boolean);
+  return location.length ? ` (${location.join(', ')})` : '';
+}
+
+function formatBibTeX(c) {
+  const key = `gandhi${c.year || ''}${c.title.toLowerCase().replace(/[^a-z0-9]+/g, '').slice(0, 24)}`;
+  const note = [c.section && `Section ${c.section}`, c.source].filter(Boolean).join('. ');
+
+  const fields = [
+    ['author', 'Gandhi, Mohandas Karamchand'],
+    ['title', `{${c.title}}`],
+    ['booktitle', CWMG.title],
+    ['volume', c.volume],
+    ['publisher', CWMG.publisher],
+    ['address', CWMG.place],
+    ['date', c.date ? toIsoDate(c.date) : null],
+    ['year', c.year],
+    ['note', note]
+  ].filter(([, value]) => value);
+
+  return `@incollection{${key},\n` +
+    fields.map(([name, value]) => `  ${name} = {${escapeBibTeX(String(value))}}`).join(',\n') +
+    '\n}';
+}
+
+function formatRIS(c) {
+  const lines = [
+    ['TY', 'CHAP'],
+    ['AU', 'Gandhi, Mohandas Karamchand'],
+    ['TI', c.title],
+    ['T2', CWMG.title],
+    ['VL', c.volume],
+    ['DA', c.date ? toIsoDate(c.date).replace(/-/g, '/') : null],
+    ['PY', c.year],
+    ['PB', CWMG.publisher],
+    ['CY', CWMG.place],
+    ['M3', c.docType],
+    ['N1', [c.section && `Section ${c.section}`, c.source].filter(Boolean).join('. ')],
+    ['ER', '']
+  ].filter(([tag, value]) => tag === 'ER' || value);
+
+  return lines.map(([tag, value]) => `${tag}  - ${value}`.trimEnd()).join('\n');
+}
+
+/**
+ * Render the "Cite" box for one document: style tabs, the formatted entry and a copy button
+ */
+export function renderCitationBox(container, doc, style = 'chicago') {
+  container.innerHTML = `
+    <div class="citation-styles">
+      ${Object.entries(CITATION_STYLES).map(([key, { label }]) => `
+        <button class="citation-style ${key === style ? 'active' : ''}" data-style="${key}">${label}</button>
+      `).join('')}
+    </div>
+    <div class="citation-text ${['bibtex', 'ris'].includes(style) ? 'citation-code' : ''}">${formatCitationHtml(doc, style)}</div>
+    <button class="citation-copy">Copy</button>
+  `;
+
+  container.querySelectorAll('.citation-style').forEach(button => {
+    button.addEventListener('click', () => renderCitationBox(container, doc, button.dataset.style));
+  });
+
+  const copyButton = container.querySelector('.citation-copy');
+  copyButton.addEventListener('click', async () => {
+    try {
+      await copyToClipboard(formatCitation(doc, style));
+      copyButton.textContent = 'Copied';
+      setTimeout(() => { copyButton.textContent = 'Copy'; }, 1500);
+    } catch (error) {
+      console.error('Failed to copy citation:', error);
+    }
+  });
+}
+
+export async function copyToClipboard(text) {
+  if (navigator.clipboard?.writeText) {
+    await navigator.clipboard.writeText(text);
+    return;
+  }
+
+  // Fallback for non-secure contexts where the async clipboard API is unavailable
+  const textarea = document.createElement('textarea');
+  textarea.value = text;
+  textarea.style.position = 'fixed';
+  textarea.style.opacity = '0';
+  document.body.appendChild(textarea);
+  textarea.select();
+  const copied = document.execCommand('copy');
+  textarea.remove();
+  if (!copied) throw new Error('Clipboard unavailable');
+}
+
+function toTitleCase(title) {
+  // CWMG headings are in capitals: "LETTER TO N. R. MALKANI" → "Letter to N. R. Malkani"
+  if (title !== title.toUpperCase()) return title;
+
+  return title
+    .toLowerCase()
+    .split(' ')
+    .map((word, i) => i > 0 && MINOR_WORDS.has(word) ? word : capitalizeWord(word))
+    .join(' ');
+}
+
+function capitalizeWord(word) {
+  // Capitalize after hyphens, periods and opening brackets too: "n.r." → "N.R."
+  return word.replace(/(^|[-.(“"'])([a-z])/g, (match, prefix, letter) => prefix + letter.toUpperCase());
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function sentence(text) {
+  return /[.!?]$/.test(text) ? text : `${text}.`;
+}
+
+function formatChicagoDate(date) {
+  return `${MONTH_NAMES[date.getMonth()]} ${date.getDate()}, ${date.getFullYear()}`;
+}
+
+function formatMLADate(date) {
+  const month = MONTH_NAMES[date.getMonth()];
+  const short = month.length > 4 ? `${month.slice(0, month === 'September' ? 4 : 3)}.` : month;
+  return `${date.getDate()} ${short} ${date.getFullYear()}`;
+}
+
+function escapeBibTeX(text) {
+  return text.replace(/([&%$#_])/g, '\\$1');
+}
+
+function stripItalics(text) {
+  return text.replace(new RegExp(`[${ITALIC_START}${ITALIC_END}]`, 'g'), '');
+}
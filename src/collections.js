@@ -0,0 +1,457 @@
+/**
+ * Bookmarks and Reading Collections for Gandhi Knowledge Graph
+ * Starred documents, themes, people and journey locations, grouped into
+ * named, ordered collections persisted in localStorage
+ */
+
+import { escapeHtml } from './search.js';
+import { downloadFile } from './export.js';
+import { getDocumentKey } from './annotations.js';
+import { formatCitation } from './citation.js';
+import { formatContent, formatFootnotes } from './format.js';
+import { loadDocumentContent } from './content.js';
+import { attachFootnotes } from './footnotes.js';
+
+const STORAGE_KEY = 'gandhi-collections';
+export const STARRED_ID = 'starred';
+
+export class CollectionStore {
+  constructor() {
+    this.collections = this.load();
+
+    // Keep pages open in other tabs (graph, tree, journey) in sync
+    window.addEventListener('storage', (event) => {
+      if (event.key !== STORAGE_KEY) return;
+      this.collections = this.load();
+      this.notify();
+    });
+  }
+
+  load() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+      if (Array.isArray(stored) && stored.some(c => c.id === STARRED_ID)) return stored;
+    } catch (error) {
+      console.error('Failed to read collections:', error);
+    }
+    return [{ id: STARRED_ID, name: 'Starred', items: [] }];
+  }
+
+  persist() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.collections));
+    } catch (error) {
+      console.error('Failed to save collections:', error);
+    }
+    this.notify();
+  }
+
+  notify() {
+    document.dispatchEvent(new CustomEvent('collectionsChanged'));
+  }
+
+  get(id) {
+    return this.collections.find(c => c.id === id);
+  }
+
+  create(name) {
+    const collection = {
+      id: `collection_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      name: name.trim(),
+      items: []
+    };
+    this.collections.push(collection);
+    this.persist();
+    return collection;
+  }
+
+  delete(id) {
+    if (id === STARRED_ID) return;
+    this.collections = this.collections.filter(c => c.id !== id);
+    this.persist();
+  }
+
+  has(id, key) {
+    return !!this.get(id)?.items.some(item => item.key === key);
+  }
+
+  add(id, item) {
+    const collection = this.get(id);
+    if (!collection || this.has(id, item.key)) return;
+    collection.items.push({ ...item, added: new Date().toISOString() });
+    this.persist();
+  }
+
+  remove(id, key) {
+    const collection = this.get(id);
+    if (!collection) return;
+    collection.items = collection.items.filter(item => item.key !== key);
+    this.persist();
+  }
+
+  move(id, key, offset) {
+    const items = this.get(id)?.items;
+    const from = items ? items.findIndex(item => item.key === key) : -1;
+    const to = from + offset;
+    if (from === -1 || to < 0 || to >= items.length) return;
+    items.splice(to, 0, ...items.splice(from, 1));
+    this.persist();
+  }
+
+  isStarred(key) {
+    return this.has(STARRED_ID, key);
+  }
+
+  toggleStar(item) {
+    if (this.isStarred(item.key)) {
+      this.remove(STARRED_ID, item.key);
+    } else {
+      this.add(STARRED_ID, item);
+    }
+  }
+}
+
+/**
+ * Collection items keep a snapshot of a document's metadata so collections made
+ * in the radial tree (full corpus) can be read in the graph (sample) and vice versa;
+ * the text itself is fetched from the content shards when read
+ */
+export function documentItem(doc) {
+  const props = doc.properties || doc;
+  return {
+    kind: 'document',
+    key: getDocumentKey(doc),
+    label: String(props.title || doc.label || 'Untitled').replace(/\s+/g, ' ').trim(),
+    doc: {
+      title: props.title,
+      date: props.date,
+      docType: props.docType || props.type,
+      volume: props.volume,
+      section: props.section,
+      addressee: props.addressee,
+      // Journey documents carry the place they were written as their location
+      writtenFrom: props.writtenFrom || props.location,
+      source: props.source,
+      language: props.language,
+      contentPreview: props.contentPreview || props.preview || ''
+    }
+  };
+}
+
+export function entityItem(node) {
+  return {
+    kind: node.type,
+    key: node.id,
+    label: node.properties?.name || node.label
+  };
+}
+
+export function locationItem(location) {
+  return {
+    kind: 'location',
+    key: `location:${location.name}`,
+    location: location.name,
+    label: location.country ? `${location.name}, ${location.country}` : location.name,
+    documentCount: location.documents?.length || 0
+  };
+}
+
+/**
+ * Star toggle plus an "add to collection" picker for one item
+ */
+export function renderBookmarkControls(container, item, store) {
+  const render = () => {
+    if (!container.isConnected) {
+      document.removeEventListener('collectionsChanged', render);
+      return;
+    }
+
+    const starred = store.isStarred(item.key);
+    const others = store.collections.filter(c => c.id !== STARRED_ID);
+
+    container.innerHTML = `
+      <button class="bookmark-star ${starred ? 'starred' : ''}" title="${starred ? 'Remove star' : 'Star'}">
+        ${starred ? '★ Starred' : '☆ Star'}
+      </button>
+      <select class="bookmark-collection" aria-label="Add to collection">
+        <option value="">Add to collection…</option>
+        ${others.map(c => `
+          <option value="${c.id}" ${store.has(c.id, item.key) ? 'disabled' : ''}>
+            ${escapeHtml(c.name)}${store.has(c.id, item.key) ? ' ✓' : ''}
+          </option>
+        `).join('')}
+        <option value="__new">New collection…</option>
+      </select>
+      <span class="bookmark-new hidden">
+        <input type="text" class="bookmark-new-name" placeholder="Collection name">
+        <button class="bookmark-new-add">Add</button>
+      </span>
+    `;
+
+    container.querySelector('.bookmark-star').addEventListener('click', () => store.toggleStar(item));
+
+    const select = container.querySelector('.bookmark-collection');
+    const newCollection = container.querySelector('.bookmark-new');
+    const nameInput = container.querySelector('.bookmark-new-name');
+
+    select.addEventListener('change', () => {
+      if (select.value === '__new') {
+        select.classList.add('hidden');
+        newCollection.classList.remove('hidden');
+        nameInput.focus();
+      } else if (select.value) {
+        store.add(select.value, item);
+      }
+    });
+
+    const createAndAdd = () => {
+      if (!nameInput.value.trim()) return;
+      store.add(store.create(nameInput.value).id, item);
+    };
+    container.querySelector('.bookmark-new-add').addEventListener('click', createAndAdd);
+    nameInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') createAndAdd();
+      if (event.key === 'Escape') render();
+    });
+  };
+
+  document.addEventListener('collectionsChanged', render);
+  render();
+}
+
+/**
+ * Collections sidebar: every collection with its ordered items,
+ * reading view, JSON export and printable reading list
+ */
+export function renderCollectionsPanel(container, store, { onOpenItem }) {
+  let expandedId = STARRED_ID;
+
+  const render = () => {
+    container.innerHTML = `
+      <ul class="collections-list">
+        ${store.collections.map(collection => `
+          <li class="collection ${collection.id === expandedId ? 'expanded' : ''}" data-collection-id="${collection.id}">
+            <div class="collection-header">
+              <span class="collection-name">${collection.id === STARRED_ID ? '★ ' : ''}${escapeHtml(collection.name)}</span>
+              <span class="collection-count">${collection.items.length}</span>
+            </div>
+            ${collection.id === expandedId ? renderCollectionBody(collection) : ''}
+          </li>
+        `).join('')}
+      </ul>
+      <div class="collection-create">
+        <input type="text" class="collection-create-name" placeholder="New collection, e.g. Letters on fasting">
+        <button class="collection-create-add">Create</button>
+      </div>
+    `;
+
+    container.querySelectorAll('.collection-header').forEach(header => {
+      header.addEventListener('click', () => {
+        const id = header.parentElement.dataset.collectionId;
+        expandedId = expandedId === id ? null : id;
+        render();
+      });
+    });
+
+    container.querySelectorAll('[data-action]').forEach(button => {
+      button.addEventListener('click', (event) => {
+        event.stopPropagation();
+        const collection = store.get(button.closest('.collection').dataset.collectionId);
+        const key = button.closest('.collection-item')?.dataset.key;
+        const item = collection.items.find(i => i.key === key);
+
+        switch (button.dataset.action) {
+          case 'read':
+            openReadingView(collection);
+            break;
+          case 'open':
+            if (item.kind === 'document') {
+              openReadingView(collection, item.key);
+            } else {
+              onOpenItem(item);
+            }
+            break;
+          case 'up':
+            store.move(collection.id, key, -1);
+            break;
+          case 'down':
+            store.move(collection.id, key, 1);
+            break;
+          case 'remove':
+            store.remove(collection.id, key);
+            break;
+          case 'export':
+            downloadFile(`${slugify(collection.name)}.json`, JSON.stringify(collection, null, 2), 'application/json');
+            break;
+          case 'print':
+            printReadingList(collection);
+            break;
+          case 'delete':
+            store.delete(collection.id);
+            break;
+        }
+      });
+    });
+
+    const nameInput = container.querySelector('.collection-create-name');
+    const create = () => {
+      if (!nameInput.value.trim()) return;
+      expandedId = store.create(nameInput.value).id;
+      render();
+    };
+    container.querySelector('.collection-create-add').addEventListener('click', create);
+    nameInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter') create();
+    });
+  };
+
+  document.addEventListener('collectionsChanged', render);
+  render();
+}
+
+function renderCollectionBody(collection) {
+  const hasDocuments = collection.items.some(item => item.kind === 'document');
+
+  return `
+    <ol class="collection-items">
+      ${collection.items.length === 0 ? '<li class="collection-empty">Star items or add them from any view.</li>' : ''}
+      ${collection.items.map(item => `
+        <li class="collection-item" data-key="${escapeHtml(item.key)}">
+          <button class="collection-item-label" data-action="open" title="Open">
+            <span class="collection-item-kind">${item.kind}</span>
+            ${escapeHtml(item.label)}${item.doc?.date ? ` <span class="collection-item-date">${escapeHtml(item.doc.date)}</span>` : ''}
+          </button>
+          <span class="collection-item-actions">
+            <button data-action="up" title="Move up">↑</button>
+            <button data-action="down" title="Move down">↓</button>
+            <button data-action="remove" title="Remove">✕</button>
+          </span>
+        </li>
+      `).join('')}
+    </ol>
+    <div class="collection-actions">
+      ${hasDocuments ? '<button data-action="read">Read</button>' : ''}
+      <button data-action="export">Export JSON</button>
+      <button data-action="print">Print list</button>
+      ${collection.id === STARRED_ID ? '' : '<button data-action="delete">Delete</button>'}
+    </div>
+  `;
+}
+
+/**
+ * Full-screen reader paging through a collection's documents in order
+ */
+export function openReadingView(collection, startKey = null) {
+  const documents = collection.items.filter(item => item.kind === 'document');
+  if (documents.length === 0) return;
+
+  let index = Math.max(0, documents.findIndex(item => item.key === startKey));
+
+  document.querySelector('.reading-view')?.remove();
+  const overlay = document.createElement('div');
+  overlay.className = 'reading-view';
+  document.body.appendChild(overlay);
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', onKeydown);
+  };
+
+  const show = (newIndex) => {
+    index = Math.min(Math.max(newIndex, 0), documents.length - 1);
+    const doc = documents[index].doc;
+
+    overlay.innerHTML = `
+      <div class="reading-view-header">
+        <span class="reading-view-title">${escapeHtml(collection.name)}</span>
+        <span class="reading-view-position">${index + 1} of ${documents.length}</span>
+        <button class="reading-view-prev" ${index === 0 ? 'disabled' : ''}>← Previous</button>
+        <button class="reading-view-next" ${index === documents.length - 1 ? 'disabled' : ''}>Next →</button>
+        <button class="reading-view-close" title="Close">&times;</button>
+      </div>
+      <article class="reading-view-document">
+        <h2>${escapeHtml(doc.title)}</h2>
+        <div class="reading-view-meta">
+          ${[doc.docType, doc.date, doc.addressee && doc.addressee !== 'None' ? `To ${doc.addressee}` : '',
+            doc.writtenFrom && doc.writtenFrom !== 'None' ? `From ${doc.writtenFrom}` : '',
+            doc.volume ? `Vol ${doc.volume}${doc.section ? `, Section ${doc.section}` : ''}` : '']
+            .filter(Boolean).map(escapeHtml).join(' • ')}
+        </div>
+        <div class="content-text">${formatContent(doc.fullContent || doc.contentPreview)}</div>
+        <div class="reading-view-footnotes">${formatFootnotes(doc.footnotes)}</div>
+      </article>
+    `;
+
+    if (doc.fullContent) {
+      attachFootnotes(overlay.querySelector('.reading-view-document .content-text'), doc.footnotes);
+    } else {
+      showContent(index, doc);
+    }
+
+    overlay.querySelector('.reading-view-prev').addEventListener('click', () => show(index - 1));
+    overlay.querySelector('.reading-view-next').addEventListener('click', () => show(index + 1));
+    overlay.querySelector('.reading-view-close').addEventListener('click', close);
+    overlay.scrollTop = 0;
+  };
+
+  const showContent = async (shownIndex, doc) => {
+    try {
+      const { fullContent, footnotes } = await loadDocumentContent(doc);
+      if (index !== shownIndex || !overlay.isConnected) return;
+      const textEl = overlay.querySelector('.reading-view-document .content-text');
+      textEl.innerHTML = formatContent(fullContent);
+      overlay.querySelector('.reading-view-footnotes').innerHTML = formatFootnotes(footnotes);
+      attachFootnotes(textEl, footnotes);
+    } catch (error) {
+      console.error('Failed to load document text:', error);
+    }
+  };
+
+  const onKeydown = (event) => {
+    if (event.key === 'Escape') close();
+    if (event.key === 'ArrowLeft') show(index - 1);
+    if (event.key === 'ArrowRight') show(index + 1);
+  };
+  document.addEventListener('keydown', onKeydown);
+
+  show(index);
+}
+
+function printReadingList(collection) {
+  const entries = collection.items.map(item => item.kind === 'document'
+    ? `<li>${escapeHtml(formatCitation(item.doc, 'chicago'))}</li>`
+    : `<li>${escapeHtml(item.label)} <em>(${item.kind})</em></li>`
+  ).join('');
+
+  const printWindow = window.open('', '_blank');
+  if (!printWindow) {
+    console.error('Could not open print window (blocked by the browser?)');
+    return;
+  }
+
+  printWindow.document.write(`<!DOCTYPE html>
+    <html>
+    <head>
+      <meta charset="UTF-8">
+      <title>${escapeHtml(collection.name)} – Reading List</title>
+      <style>
+        body { font-family: 'Crimson Text', Georgia, serif; max-width: 700px; margin: 2rem auto; line-height: 1.5; }
+        h1 { font-size: 1.6rem; }
+        li { margin-bottom: 0.75rem; }
+        .printed { color: #666; font-size: 0.85rem; }
+      </style>
+    </head>
+    <body>
+      <h1>${escapeHtml(collection.name)}</h1>
+      <p class="printed">Reading list from The Collected Works of Mahatma Gandhi • ${new Date().toLocaleDateString()}</p>
+      <ol>${entries}</ol>
+    </body>
+    </html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+}
+
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'collection';
+}
@@ -0,0 +1,277 @@
+/**
+ * Document Comparison for Gandhi Knowledge Graph
+ * Documents added from any view (graph, tree, journey) are kept in the shared app store
+ * and read side by side: metadata differences, synchronized scrolling and the
+ * phrases the documents have in common highlighted
+ */
+
+import { escapeHtml } from './search.js';
+import { formatContent, formatFootnotes } from './format.js';
+import { loadDocumentContent } from './content.js';
+import { isEmbedded } from './store.js';
+import { attachFootnotes } from './footnotes.js';
+
+// Runs of this many words found in more than one document are highlighted
+const PHRASE_LENGTH = 5;
+
+const COMPARED_FIELDS = [
+  ['date', 'Date'],
+  ['writtenFrom', 'Place'],
+  ['addressee', 'Addressee'],
+  ['source', 'Source'],
+  ['docType', 'Type'],
+  ['language', 'Language'],
+  ['volume', 'Volume']
+];
+
+// Footnote markers ({3}) are matched so they are skipped rather than split
+const TOKEN_PATTERN = /\{\d+\}|[\p{L}\p{N}]+(?:['’][\p{L}]+)*/gu;
+
+/**
+ * "Compare" toggle for one document (a collections documentItem)
+ */
+export function renderCompareButton(container, item, store) {
+  const render = (event) => {
+    if (!container.isConnected) {
+      document.removeEventListener('storeChanged', render);
+      return;
+    }
+    if (event && !event.detail.changed.includes('compare')) return;
+
+    const compared = store.isCompared(item.key);
+    container.innerHTML = `
+      <button class="compare-toggle ${compared ? 'active' : ''}" title="${compared ? 'Remove from comparison' : 'Read side by side with other documents'}">
+        ${compared ? '✓ Comparing' : '⇄ Compare'}
+      </button>
+    `;
+    container.querySelector('button').addEventListener('click', () => store.toggleCompare(item));
+  };
+
+  document.addEventListener('storeChanged', render);
+  render();
+}
+
+/**
+ * Tray listing the documents picked for comparison. Pages embedded in the
+ * shell leave this to the shell, whose tray sits above them.
+ */
+export function renderCompareTray(store) {
+  if (isEmbedded()) return;
+
+  const tray = document.createElement('div');
+  tray.className = 'compare-tray hidden';
+  document.body.appendChild(tray);
+
+  const render = () => {
+    const items = store.compared;
+    tray.classList.toggle('hidden', items.length === 0);
+
+    tray.innerHTML = `
+      <div class="compare-tray-header">Compare (${items.length})</div>
+      <ul class="compare-tray-items">
+        ${items.map(item => `
+          <li data-key="${escapeHtml(item.key)}">
+            <span class="compare-tray-label" title="${escapeHtml(item.label)}">${escapeHtml(item.label)}</span>
+            <button class="compare-tray-remove" title="Remove">✕</button>
+          </li>
+        `).join('')}
+      </ul>
+      <div class="compare-tray-actions">
+        <button class="compare-tray-open" ${items.length < 2 ? 'disabled title="Add another document"' : ''}>Side by side</button>
+        <button class="compare-tray-clear">Clear</button>
+      </div>
+    `;
+
+    tray.querySelectorAll('.compare-tray-remove').forEach(button => {
+      const key = button.closest('li').dataset.key;
+      button.addEventListener('click', () => store.toggleCompare(items.find(item => item.key === key)));
+    });
+    tray.querySelector('.compare-tray-open').addEventListener('click', () => openCompareView(items));
+    tray.querySelector('.compare-tray-clear').addEventListener('click', () => store.clearCompare());
+  };
+
+  document.addEventListener('storeChanged', (event) => {
+    if (event.detail.changed.includes('compare')) render();
+  });
+  render();
+}
+
+/**
+ * Full-screen split reader, one column per document
+ */
+export function openCompareView(items) {
+  const documents = items.filter(item => item.kind === 'document');
+  if (documents.length === 0) return;
+
+  document.querySelector('.compare-view')?.remove();
+  const overlay = document.createElement('div');
+  overlay.className = 'compare-view';
+  overlay.style.setProperty('--compare-columns', documents.length);
+  document.body.appendChild(overlay);
+
+  overlay.innerHTML = `
+    <div class="compare-view-header">
+      <span class="compare-view-title">Comparing ${documents.length} documents</span>
+      <label class="compare-view-sync"><input type="checkbox" checked> Sync scrolling</label>
+      <button class="compare-view-close" title="Close">&times;</button>
+    </div>
+    ${renderMetadataTable(documents)}
+    <div class="compare-columns">
+      ${documents.map(item => `
+        <article class="compare-column">
+          <h3>${escapeHtml(item.doc.title || item.label)}</h3>
+          <div class="compare-column-stats"></div>
+          <div class="compare-text content-loading">${formatContent(item.doc.contentPreview)}</div>
+        </article>
+      `).join('')}
+    </div>
+  `;
+
+  const close = () => {
+    overlay.remove();
+    document.removeEventListener('keydown', onKeydown);
+  };
+  const onKeydown = (event) => {
+    if (event.key === 'Escape') close();
+  };
+  overlay.querySelector('.compare-view-close').addEventListener('click', close);
+  document.addEventListener('keydown', onKeydown);
+
+  const texts = [...overlay.querySelectorAll('.compare-text')];
+  syncScrolling(texts, overlay.querySelector('.compare-view-sync input'));
+  showContents(overlay, documents, texts);
+}
+
+function renderMetadataTable(documents) {
+  const value = (item, field) => {
+    const text = String(item.doc[field] ?? '').trim();
+    return text === 'None' || text === 'Unknown' ? '' : text;
+  };
+
+  const rows = COMPARED_FIELDS
+    .filter(([field]) => documents.some(item => value(item, field)))
+    .map(([field, label]) => {
+      const values = documents.map(item => value(item, field));
+      const differs = new Set(values.map(v => v.toLowerCase())).size > 1;
+      return `
+        <tr class="${differs ? 'differs' : ''}">
+          <th>${label}</th>
+          ${values.map(v => `<td>${escapeHtml(v) || '–'}</td>`).join('')}
+        </tr>
+      `;
+    });
+
+  return `
+    <table class="compare-meta">
+      <tbody>${rows.join('')}</tbody>
+    </table>
+  `;
+}
+
+async function showContents(overlay, documents, texts) {
+  const contents = await Promise.all(documents.map(item =>
+    loadDocumentContent(item.doc).catch(error => {
+      console.error('Failed to load document text:', error);
+      return { fullContent: item.doc.contentPreview || '', footnotes: null };
+    })
+  ));
+  if (!overlay.isConnected) return;
+
+  const shared = findSharedPhrases(contents.map(content => content.fullContent));
+  const stats = overlay.querySelectorAll('.compare-column-stats');
+
+  contents.forEach((content, index) => {
+    const { ranges, sharedWords, totalWords } = shared[index];
+    texts[index].innerHTML = highlightRanges(content.fullContent, ranges) + formatFootnotes(content.footnotes);
+    texts[index].classList.remove('content-loading');
+    attachFootnotes(texts[index], content.footnotes);
+    stats[index].textContent = totalWords
+      ? `${Math.round(100 * sharedWords / totalWords)}% of ${totalWords.toLocaleString()} words shared with the other documents`
+      : '';
+  });
+}
+
+/**
+ * For each text, the character ranges covered by a phrase of PHRASE_LENGTH words that
+ * also occurs in another of the texts (case and punctuation ignored)
+ */
+export function findSharedPhrases(texts, length = PHRASE_LENGTH) {
+  const tokenized = texts.map(text =>
+    [...String(text || '').matchAll(TOKEN_PATTERN)]
+      .filter(match => !match[0].startsWith('{'))
+      .map(match => ({ word: match[0].toLowerCase().replace(/’/g, "'"), start: match.index, end: match.index + match[0].length }))
+  );
+
+  const phraseAt = (tokens, i) => tokens.slice(i, i + length).map(token => token.word).join(' ');
+
+  // Which texts each phrase occurs in
+  const occurrences = new Map();
+  tokenized.forEach((tokens, textIndex) => {
+    for (let i = 0; i + length <= tokens.length; i++) {
+      const phrase = phraseAt(tokens, i);
+      if (!occurrences.has(phrase)) occurrences.set(phrase, new Set());
+      occurrences.get(phrase).add(textIndex);
+    }
+  });
+
+  return tokenized.map(tokens => {
+    const shared = new Array(tokens.length).fill(false);
+    for (let i = 0; i + length <= tokens.length; i++) {
+      if (occurrences.get(phraseAt(tokens, i)).size > 1) shared.fill(true, i, i + length);
+    }
+
+    // Neighbouring shared words are merged into one range
+    const ranges = [];
+    tokens.forEach((token, i) => {
+      if (!shared[i]) return;
+      if (i > 0 && shared[i - 1]) {
+        ranges[ranges.length - 1][1] = token.end;
+      } else {
+        ranges.push([token.start, token.end]);
+      }
+    });
+
+    return {
+      ranges,
+      sharedWords: shared.filter(Boolean).length,
+      totalWords: tokens.length
+    };
+  });
+}
+
+function highlightRanges(text, ranges) {
+  if (!text) return '';
+
+  let html = '';
+  let position = 0;
+  ranges.forEach(([start, end]) => {
+    html += formatContent(text.slice(position, start));
+    html += `<mark class="shared-phrase">${formatContent(text.slice(start, end))}</mark>`;
+    position = end;
+  });
+  return html + formatContent(text.slice(position));
+}
+
+/**
+ * Scrolling one column scrolls the others to the same relative position
+ */
+function syncScrolling(columns, toggle) {
+  let leader = null;
+  let releaseTimeout;
+
+  columns.forEach(column => {
+    column.addEventListener('scroll', () => {
+      if (!toggle.checked || (leader && leader !== column)) return;
+
+      // The column being scrolled leads until it has been still for a moment
+      leader = column;
+      clearTimeout(releaseTimeout);
+      releaseTimeout = setTimeout(() => { leader = null; }, 150);
+
+      const ratio = column.scrollTop / Math.max(1, column.scrollHeight - column.clientHeight);
+      columns.filter(other => other !== column).forEach(other => {
+        other.scrollTop = ratio * (other.scrollHeight - other.clientHeight);
+      });
+    });
+  });
+}
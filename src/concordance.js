@@ -0,0 +1,240 @@
+/**
+ * Keyword-in-Context Concordance for Gandhi Knowledge Graph
+ * Every occurrence of a word or phrase across the documents' full text, aligned
+ * on the keyword, sortable by date, neighbouring words and document type
+ */
+
+import { loadDocumentTexts } from './content.js';
+import { parseDocumentDate } from './dates.js';
+import { downloadFile, formatCSV } from './export.js';
+import { escapeHtml } from './search.js';
+import { onDocumentClick } from './chart_helpers.js';
+
+// Characters of context either side of the keyword
+const CONTEXT_LENGTH = 60;
+// Rows drawn in the table; the CSV export has them all
+const MAX_ROWS = 2000;
+// Timeline playback refilters several times a second; search again once it settles
+const RESEARCH_DELAY_MS = 300;
+
+const SORTS = {
+  date: (a, b) => a.time - b.time,
+  left: (a, b) => compareWords(a.leftWords, b.leftWords),
+  right: (a, b) => compareWords(a.rightWords, b.rightWords),
+  type: (a, b) => a.type.localeCompare(b.type) || a.time - b.time
+};
+
+/**
+ * Concordance lines for a term in the given texts (Map of document id to text).
+ * Matching is case-insensitive on whole words; a trailing * matches any ending ("swadesh*").
+ */
+export function findConcordance(documents, texts, term, contextLength = CONTEXT_LENGTH) {
+  const pattern = buildTermPattern(term);
+  if (!pattern) return [];
+
+  const rows = [];
+  documents.forEach(doc => {
+    // Footnote markers and line breaks would only get in the way of the alignment
+    const text = (texts.get(doc.id) || '').replace(/\{\d+\}/g, '').replace(/\s+/g, ' ');
+
+    for (const match of text.matchAll(pattern)) {
+      const start = match.index;
+      const end = start + match[0].length;
+      const left = text.slice(Math.max(0, start - contextLength), start);
+      const right = text.slice(end, end + contextLength);
+
+      rows.push({
+        doc,
+        left,
+        keyword: match[0],
+        right,
+        // Nearest word first, for sorting by neighbour
+        leftWords: words(left).reverse(),
+        rightWords: words(right),
+        date: doc.properties.date || '',
+        time: parseDocumentDate(doc.properties.date).getTime() || 0,
+        type: doc.properties.docType || ''
+      });
+    }
+  });
+  return rows;
+}
+
+export class ConcordanceView {
+  constructor(containerId, options = {}) {
+    this.container = document.querySelector(containerId);
+    this.onOpenDocument = options.onOpenDocument || (() => {});
+    this.documents = [];
+    this.term = '';
+    this.rows = [];
+    this.sort = { key: 'date', ascending: true };
+    this.loadToken = 0;
+
+    this.container.innerHTML = `
+      <form class="concordance-form">
+        <input type="search" class="concordance-term" placeholder="Word or phrase, e.g. swadeshi, ahimsa, non-co*" aria-label="Concordance term">
+        <button type="submit">Find</button>
+        <button type="button" class="concordance-export" disabled>Export CSV</button>
+        <span class="concordance-status"></span>
+      </form>
+      <div class="concordance-results"></div>
+    `;
+
+    this.input = this.container.querySelector('.concordance-term');
+    this.status = this.container.querySelector('.concordance-status');
+    this.results = this.container.querySelector('.concordance-results');
+    this.exportButton = this.container.querySelector('.concordance-export');
+
+    this.container.querySelector('form').addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.search(this.input.value);
+    });
+    this.exportButton.addEventListener('click', () => this.exportCSV());
+
+    this.results.addEventListener('click', (event) => {
+      const header = event.target.closest('[data-sort]');
+      if (header) {
+        const key = header.dataset.sort;
+        this.sort = { key, ascending: this.sort.key === key ? !this.sort.ascending : true };
+        this.render();
+      }
+    });
+    onDocumentClick(this.results, () => this.rows.map(row => row.doc), this.onOpenDocument);
+  }
+
+  /**
+   * The documents searched, e.g. those passing the graph's filters
+   */
+  setDocuments(documents) {
+    this.documents = documents;
+    clearTimeout(this.researchTimeout);
+    if (this.term) {
+      this.researchTimeout = setTimeout(() => this.search(this.term), RESEARCH_DELAY_MS);
+    }
+  }
+
+  /**
+   * Set the term without searching, e.g. when restoring a shared link
+   */
+  setTerm(term) {
+    this.term = (term || '').trim();
+    this.input.value = this.term;
+  }
+
+  async search(term) {
+    clearTimeout(this.researchTimeout);
+    this.setTerm(term);
+    document.dispatchEvent(new CustomEvent('concordanceSearched', { detail: { term: this.term } }));
+
+    if (!this.term) {
+      this.loadToken++;
+      this.rows = [];
+      this.render();
+      return;
+    }
+
+    // A newer search or document set supersedes this one while texts load
+    const token = ++this.loadToken;
+    const texts = await loadDocumentTexts(this.documents, {
+      onProgress: (progress) => { this.status.textContent = `Loading text… ${Math.round(100 * progress)}%`; },
+      isCancelled: () => token !== this.loadToken
+    });
+    if (token !== this.loadToken) return;
+
+    this.rows = findConcordance(this.documents, texts, this.term);
+    this.render();
+  }
+
+  render() {
+    const { key, ascending } = this.sort;
+    const compare = SORTS[key];
+    this.rows.sort((a, b) => ascending ? compare(a, b) : compare(b, a));
+
+    const documentCount = new Set(this.rows.map(row => row.doc.id)).size;
+    this.status.textContent = this.term
+      ? `${this.rows.length.toLocaleString()} occurrences in ${documentCount.toLocaleString()} of ${this.documents.length.toLocaleString()} documents` +
+        (this.rows.length > MAX_ROWS ? ` (first ${MAX_ROWS.toLocaleString()} shown)` : '')
+      : '';
+    this.exportButton.disabled = this.rows.length === 0;
+
+    if (this.rows.length === 0) {
+      this.results.innerHTML = this.term ? '<p class="concordance-empty">No occurrences.</p>' : '';
+      return;
+    }
+
+    const header = (sortKey, label) => {
+      const arrow = key === sortKey ? (ascending ? ' ↑' : ' ↓') : '';
+      return `<th><button data-sort="${sortKey}">${label}${arrow}</button></th>`;
+    };
+
+    this.results.innerHTML = `
+      <table class="concordance-table">
+        <thead>
+          <tr>
+            ${header('date', 'Date')}
+            ${header('type', 'Type')}
+            ${header('left', 'Left context')}
+            <th>Keyword</th>
+            ${header('right', 'Right context')}
+            <th></th>
+          </tr>
+        </thead>
+        <tbody>
+          ${this.rows.slice(0, MAX_ROWS).map(row => `
+            <tr>
+              <td class="concordance-date">${escapeHtml(row.date)}</td>
+              <td class="concordance-type">${escapeHtml(row.type.toLowerCase())}</td>
+              <td class="concordance-left"><bdi>${escapeHtml(row.left)}</bdi></td>
+              <td class="concordance-keyword">${escapeHtml(row.keyword)}</td>
+              <td class="concordance-right">${escapeHtml(row.right)}</td>
+              <td><button class="concordance-open" data-doc-id="${escapeHtml(row.doc.id)}" title="${escapeHtml(row.doc.properties.title || '')}">Open</button></td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+  }
+
+  exportCSV() {
+    const rows = [
+      ['date', 'type', 'title', 'volume', 'left', 'keyword', 'right'],
+      ...this.rows.map(row => [
+        row.date,
+        row.type,
+        row.doc.properties.title,
+        row.doc.properties.volume,
+        row.left,
+        row.keyword,
+        row.right
+      ])
+    ];
+
+    const slug = this.term.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'term';
+    downloadFile(`concordance-${slug}.csv`, formatCSV(rows), 'text/csv');
+  }
+}
+
+/**
+ * Case-insensitive whole-word pattern for a word or phrase; * matches any word ending
+ */
+export function buildTermPattern(term) {
+  const words = term.trim().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+
+  const source = words
+    .map(word => word.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '[\\p{L}\\p{N}]*'))
+    .join('\\s+');
+  return new RegExp(`(?<![\\p{L}\\p{N}])${source}(?![\\p{L}\\p{N}])`, 'giu');
+}
+
+function words(text) {
+  return text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function compareWords(a, b) {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const order = (a[i] || '').localeCompare(b[i] || '');
+    if (order !== 0) return order;
+  }
+  return 0;
+}
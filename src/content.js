@@ -0,0 +1,180 @@
+/**
+ * Document Content for Gandhi Knowledge Graph
+ * Full text and footnotes live in per-volume shards (data/content/vol-NNN.json,
+ * written by scripts/shard_content.js) and are fetched when a document is opened
+ */
+
+import { getDocumentKey } from './annotations.js';
+
+const CONTENT_PATH = '/data/content/';
+const MAX_CACHED_VOLUMES = 8;
+// Characters of full text kept for corpus-wide views (about 2 bytes each)
+const MAX_CACHED_TEXT_LENGTH = 40e6;
+
+export function getShardUrl(volume) {
+  return CONTENT_PATH + getShardName(volume);
+}
+
+export function getShardName(volume) {
+  const name = String(volume ?? '').trim();
+  return /^\d+$/.test(name) ? `vol-${name.padStart(3, '0')}.json` : 'vol-unknown.json';
+}
+
+/**
+ * Key of a document's entry in its volume shard: the section number, which is unique
+ * within a CWMG volume, or title and date for documents without one. Titles repeat
+ * (e.g. "LETTER TO MIRABEHN" several times a day), so they are only a fallback.
+ */
+export function getContentKey(doc) {
+  const props = doc.properties || doc;
+  const section = String(props.section ?? '').trim();
+  return section || getDocumentKey(doc);
+}
+
+/**
+ * Least-recently-used cache: a Map iterates in insertion order,
+ * so re-inserting on access keeps the oldest entry first.
+ * Capacity counts entries, or whatever `sizeOf` measures (e.g. text length).
+ */
+export class LRUCache {
+  constructor(capacity, { sizeOf = () => 1 } = {}) {
+    this.capacity = capacity;
+    this.sizeOf = sizeOf;
+    this.size = 0;
+    this.entries = new Map();
+  }
+
+  get(key) {
+    if (!this.entries.has(key)) return undefined;
+    const value = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, value);
+    return value;
+  }
+
+  set(key, value) {
+    this.delete(key);
+    this.entries.set(key, value);
+    this.size += this.sizeOf(value);
+
+    // The newest entry is kept even when it alone is over capacity
+    while (this.size > this.capacity && this.entries.size > 1) {
+      this.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    if (!this.entries.has(key)) return;
+    this.size -= this.sizeOf(this.entries.get(key));
+    this.entries.delete(key);
+  }
+}
+
+export class ContentStore {
+  constructor(options = {}) {
+    this.basePath = options.basePath || CONTENT_PATH;
+    this.volumes = new LRUCache(options.capacity || MAX_CACHED_VOLUMES);
+  }
+
+  loadVolume(volume) {
+    const shard = getShardName(volume);
+
+    // The pending promise is cached so concurrent opens share one request
+    let request = this.volumes.get(shard);
+    if (!request) {
+      request = fetch(this.basePath + shard).then(response => {
+        if (!response.ok) throw new Error(`HTTP error ${response.status} loading ${shard}`);
+        return response.json();
+      });
+      request.catch(() => this.volumes.delete(shard));
+      this.volumes.set(shard, request);
+    }
+    return request;
+  }
+
+  /**
+   * { fullContent, footnotes } for a graph node or tree document.
+   * Documents that still carry their text (older data, collection snapshots) skip the fetch.
+   */
+  async getContent(doc) {
+    const props = doc.properties || doc;
+    if (props.fullContent) {
+      return { fullContent: props.fullContent, footnotes: props.footnotes || null };
+    }
+
+    const shard = await this.loadVolume(props.volume);
+    const content = shard[getContentKey(doc)];
+    return {
+      fullContent: content?.fullContent || props.contentPreview || props.preview || '',
+      footnotes: content?.footnotes || null
+    };
+  }
+}
+
+const defaultStore = new ContentStore();
+
+// Shared by every corpus-wide view on the page, so each text is fetched once
+const documentTexts = new LRUCache(MAX_CACHED_TEXT_LENGTH, { sizeOf: text => text.length });
+
+export function loadDocumentContent(doc) {
+  return defaultStore.getContent(doc);
+}
+
+/**
+ * Full text of a document if it is in the shared text cache, without fetching
+ */
+export function getCachedText(key) {
+  return documentTexts.get(key);
+}
+
+/**
+ * Full text of many documents, as a Map of node id to text, for corpus-wide views
+ * (search, queries, concordance, term trends, tree search). Tree documents have no
+ * ids, so their callers pass `key` (e.g. the document object itself). Texts come from
+ * the shared, size-bounded text cache; the rest are fetched volume by volume so each
+ * shard is requested once.
+ */
+export async function loadDocumentTexts(documents, options = {}) {
+  const {
+    onProgress = () => {},
+    isCancelled = () => false,
+    onError = (doc, error) => console.error('Failed to load document text:', error),
+    key = doc => doc.id
+  } = options;
+  const texts = new Map();
+
+  const byVolume = new Map();
+  documents.forEach(doc => {
+    const cached = documentTexts.get(key(doc));
+    if (cached !== undefined) {
+      texts.set(key(doc), cached);
+      return;
+    }
+
+    const volume = (doc.properties || doc).volume;
+    if (!byVolume.has(volume)) byVolume.set(volume, []);
+    byVolume.get(volume).push(doc);
+  });
+
+  let loaded = texts.size;
+  for (const volumeDocs of byVolume.values()) {
+    if (isCancelled()) break;
+    onProgress(loaded / documents.length);
+
+    // A failed shard falls back to previews for this call only, so the next call retries it
+    await Promise.all(volumeDocs.map(async doc => {
+      try {
+        const { fullContent } = await loadDocumentContent(doc);
+        texts.set(key(doc), fullContent);
+        documentTexts.set(key(doc), fullContent);
+      } catch (error) {
+        const props = doc.properties || doc;
+        onError(doc, error);
+        texts.set(key(doc), props.contentPreview || props.preview || '');
+      }
+    }));
+    loaded += volumeDocs.length;
+  }
+
+  return new Map(documents.map(doc => [key(doc), texts.get(key(doc)) || '']));
+}
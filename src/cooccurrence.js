@@ -0,0 +1,332 @@
+/**
+ * Theme Co-occurrence for Gandhi Knowledge Graph
+ * Which themes are discussed in the same documents, as a chord diagram or a
+ * sortable adjacency matrix. Clicking a chord or cell lists the documents that
+ * discuss both themes.
+ */
+
+import * as d3 from 'd3';
+import { parseDocumentDate } from './dates.js';
+import { escapeHtml } from './search.js';
+import { formatDocumentList, hideTooltip, onDocumentClick, showTooltip } from './chart_helpers.js';
+
+const SORTS = {
+  category: (a, b) => a.categoryName.localeCompare(b.categoryName) || a.label.localeCompare(b.label),
+  frequency: (a, b) => b.total - a.total || a.label.localeCompare(b.label),
+  name: (a, b) => a.label.localeCompare(b.label)
+};
+
+/**
+ * Theme pairs discussed together, over documents and their DISCUSSES links (document id
+ * to theme nodes). `pairs` maps a pairKey to the documents discussing both themes.
+ */
+export function computeCooccurrence(documents, documentThemes) {
+  const themesById = new Map();
+  const documentCounts = new Map();
+  const pairs = new Map();
+
+  documents.forEach(doc => {
+    const themes = [...new Map((documentThemes.get(doc.id) || []).map(theme => [theme.id, theme])).values()];
+
+    themes.forEach((theme, i) => {
+      themesById.set(theme.id, theme);
+      documentCounts.set(theme.id, (documentCounts.get(theme.id) || 0) + 1);
+
+      themes.slice(i + 1).forEach(other => {
+        const key = pairKey(theme.id, other.id);
+        if (!pairs.has(key)) pairs.set(key, []);
+        pairs.get(key).push(doc);
+      });
+    });
+  });
+
+  const themes = [...themesById.values()];
+  const index = new Map(themes.map((theme, i) => [theme.id, i]));
+  const matrix = themes.map(() => themes.map(() => 0));
+  pairs.forEach((docs, key) => {
+    const [a, b] = key.split('|').map(id => index.get(id));
+    matrix[a][b] = matrix[b][a] = docs.length;
+  });
+
+  return {
+    themes: themes.map((theme, i) => ({
+      id: theme.id,
+      label: theme.label,
+      color: theme.properties?.categoryColor || '#999',
+      categoryName: theme.properties?.categoryName || '',
+      documents: documentCounts.get(theme.id),
+      total: d3.sum(matrix[i])
+    })),
+    matrix,
+    pairs
+  };
+}
+
+export function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+export class ThemeCooccurrenceView {
+  constructor(containerId, options = {}) {
+    this.container = d3.select(containerId);
+    this.onOpenDocument = options.onOpenDocument || (() => {});
+    this.documentThemes = options.documentThemes || new Map();
+    this.documents = [];
+    this.data = computeCooccurrence([], this.documentThemes);
+    this.layout = 'chord';
+    this.sort = 'category';
+    this.selected = null;
+
+    // RELATES_TO edges: themes the theme map already treats as related
+    this.relations = new Map();
+    (options.relations || []).forEach(edge => {
+      const source = typeof edge.source === 'object' ? edge.source.id : edge.source;
+      const target = typeof edge.target === 'object' ? edge.target.id : edge.target;
+      this.relations.set(pairKey(source, target), edge.weight);
+    });
+
+    this.container.html(`
+      <div class="cooccurrence-toolbar">
+        <div class="cooccurrence-layout">
+          <button data-layout="chord" class="active">Chord</button>
+          <button data-layout="matrix">Matrix</button>
+        </div>
+        <label class="cooccurrence-sort hidden">Order by
+          <select>
+            <option value="category">Category</option>
+            <option value="frequency">Co-occurrences</option>
+            <option value="name">Name</option>
+          </select>
+        </label>
+        <span class="cooccurrence-status"></span>
+      </div>
+      <div class="cooccurrence-body">
+        <svg class="cooccurrence-svg"></svg>
+        <div class="cooccurrence-documents"></div>
+      </div>
+    `);
+
+    this.svg = this.container.select('.cooccurrence-svg');
+    this.status = this.container.select('.cooccurrence-status');
+    this.documentList = this.container.select('.cooccurrence-documents');
+
+    this.container.selectAll('.cooccurrence-layout button').on('click', (event) => {
+      this.setLayout(event.currentTarget.dataset.layout);
+    });
+    this.container.select('.cooccurrence-sort select').on('change', (event) => {
+      this.sort = event.target.value;
+      this.render();
+    });
+    onDocumentClick(this.documentList.node(), () => this.documents, this.onOpenDocument);
+  }
+
+  updateDimensions() {
+    const rect = this.svg.node().getBoundingClientRect();
+    this.width = rect.width || 800;
+    this.height = rect.height || 600;
+  }
+
+  resize() {
+    this.updateDimensions();
+    this.render();
+  }
+
+  /**
+   * The documents counted, e.g. those passing the graph's year range and type filters
+   */
+  setDocuments(documents) {
+    this.documents = documents;
+    this.data = computeCooccurrence(documents, this.documentThemes);
+    if (this.selected && !this.data.pairs.has(this.selected)) this.selected = null;
+    this.render();
+  }
+
+  setLayout(layout) {
+    this.layout = layout;
+    this.container.selectAll('.cooccurrence-layout button')
+      .classed('active', function() { return this.dataset.layout === layout; });
+    this.container.select('.cooccurrence-sort').classed('hidden', layout !== 'matrix');
+    this.render();
+  }
+
+  render() {
+    this.svg.attr('width', this.width).attr('height', this.height);
+    this.svg.selectAll('*').remove();
+
+    const themeCount = this.data.themes.filter(theme => theme.total > 0).length;
+    this.status.text(`${themeCount} themes discussed together in ${this.documents.length.toLocaleString()} documents`);
+    this.renderDocuments();
+    if (themeCount === 0) return;
+
+    if (this.layout === 'matrix') {
+      this.renderMatrix();
+    } else {
+      this.renderChord();
+    }
+  }
+
+  renderChord() {
+    // Themes without a partner would only be empty arcs
+    const indices = this.data.themes
+      .map((theme, i) => i)
+      .filter(i => this.data.themes[i].total > 0)
+      .sort((a, b) => SORTS.category(this.data.themes[a], this.data.themes[b]));
+    const themes = indices.map(i => this.data.themes[i]);
+    const matrix = indices.map(i => indices.map(j => this.data.matrix[i][j]));
+
+    const outerRadius = Math.max(60, Math.min(this.width, this.height) / 2 - 110);
+    const innerRadius = outerRadius - 14;
+    const chords = d3.chord().padAngle(0.03).sortSubgroups(d3.descending)(matrix);
+
+    const g = this.svg.append('g')
+      .attr('transform', `translate(${this.width / 2},${this.height / 2})`);
+
+    const groups = g.append('g')
+      .selectAll('g')
+      .data(chords.groups)
+      .join('g')
+      .attr('class', 'cooccurrence-group')
+      .on('mouseover', (event, group) => {
+        ribbons.classed('faded', chord => chord.source.index !== group.index && chord.target.index !== group.index);
+        showTooltip(event, `
+          <strong>${escapeHtml(themes[group.index].label)}</strong><br/>
+          ${themes[group.index].documents} documents, ${themes[group.index].total} co-occurrences
+        `);
+      })
+      .on('mouseout', () => {
+        ribbons.classed('faded', false);
+        hideTooltip();
+      });
+
+    groups.append('path')
+      .attr('fill', group => themes[group.index].color)
+      .attr('d', d3.arc().innerRadius(innerRadius).outerRadius(outerRadius));
+
+    groups.append('text')
+      .attr('class', 'cooccurrence-label')
+      .each(group => { group.angle = (group.startAngle + group.endAngle) / 2; })
+      .attr('dy', '0.35em')
+      .attr('transform', group => `
+        rotate(${group.angle * 180 / Math.PI - 90})
+        translate(${outerRadius + 6})
+        ${group.angle > Math.PI ? 'rotate(180)' : ''}
+      `)
+      .attr('text-anchor', group => group.angle > Math.PI ? 'end' : null)
+      .text(group => themes[group.index].label);
+
+    const ribbons = g.append('g')
+      .selectAll('path')
+      .data(chords)
+      .join('path')
+      .attr('class', 'cooccurrence-ribbon')
+      .classed('selected', chord => this.selectedKey(themes[chord.source.index], themes[chord.target.index]))
+      .attr('fill', chord => themes[chord.source.index].color)
+      .attr('d', d3.ribbon().radius(innerRadius))
+      .on('mouseover', (event, chord) => this.showPairTooltip(event, themes[chord.source.index], themes[chord.target.index]))
+      .on('mouseout', () => hideTooltip())
+      .on('click', (event, chord) => this.selectPair(themes[chord.source.index], themes[chord.target.index]));
+  }
+
+  renderMatrix() {
+    const themes = [...this.data.themes].sort(SORTS[this.sort]);
+    const index = new Map(this.data.themes.map((theme, i) => [theme.id, i]));
+    const labelWidth = 170;
+    const size = Math.min(this.width, this.height) - labelWidth - 20;
+    const x = d3.scaleBand()
+      .domain(themes.map(theme => theme.id))
+      .range([0, Math.max(100, size)]);
+    const color = d3.scaleSequential(d3.interpolateYlOrBr)
+      .domain([0, d3.max(this.data.matrix.flat()) || 1]);
+
+    const g = this.svg.append('g')
+      .attr('transform', `translate(${labelWidth},${labelWidth})`);
+
+    const cells = themes.flatMap(row => themes.map(column => ({
+      row,
+      column,
+      count: this.data.matrix[index.get(row.id)][index.get(column.id)]
+    })));
+
+    g.append('g')
+      .selectAll('rect')
+      .data(cells)
+      .join('rect')
+      .attr('class', cell => `cooccurrence-cell${cell.row === cell.column ? ' diagonal' : ''}`)
+      .classed('selected', cell => this.selectedKey(cell.row, cell.column))
+      .attr('x', cell => x(cell.column.id))
+      .attr('y', cell => x(cell.row.id))
+      .attr('width', x.bandwidth())
+      .attr('height', x.bandwidth())
+      .attr('fill', cell => cell.count ? color(cell.count) : 'none')
+      .on('mouseover', (event, cell) => {
+        if (cell.row !== cell.column) this.showPairTooltip(event, cell.row, cell.column);
+      })
+      .on('mouseout', () => hideTooltip())
+      .on('click', (event, cell) => {
+        if (cell.count) this.selectPair(cell.row, cell.column);
+      });
+
+    g.append('g')
+      .selectAll('text')
+      .data(themes)
+      .join('text')
+      .attr('class', 'cooccurrence-label')
+      .attr('x', -6)
+      .attr('y', theme => x(theme.id) + x.bandwidth() / 2)
+      .attr('dy', '0.35em')
+      .attr('text-anchor', 'end')
+      .attr('fill', theme => theme.color)
+      .text(theme => theme.label);
+
+    g.append('g')
+      .selectAll('text')
+      .data(themes)
+      .join('text')
+      .attr('class', 'cooccurrence-label')
+      .attr('transform', theme => `translate(${x(theme.id) + x.bandwidth() / 2},-6) rotate(-90)`)
+      .attr('dy', '0.35em')
+      .attr('fill', theme => theme.color)
+      .text(theme => theme.label);
+  }
+
+  selectPair(a, b) {
+    const key = pairKey(a.id, b.id);
+    this.selected = this.selected === key ? null : key;
+    this.render();
+  }
+
+  selectedKey(a, b) {
+    return this.selected === pairKey(a.id, b.id);
+  }
+
+  renderDocuments() {
+    const documents = this.selected && this.data.pairs.get(this.selected);
+    if (!documents) {
+      this.documentList.html('<p class="cooccurrence-hint">Click a chord or cell to list the documents discussing both themes.</p>');
+      return;
+    }
+
+    const [a, b] = this.selected.split('|').map(id => this.data.themes.find(theme => theme.id === id));
+    const sorted = [...documents].sort((x, y) =>
+      (parseDocumentDate(x.properties.date).getTime() || 0) - (parseDocumentDate(y.properties.date).getTime() || 0)
+    );
+
+    this.documentList.html(`
+      <h3>${escapeHtml(a.label)} &amp; ${escapeHtml(b.label)}</h3>
+      <p class="cooccurrence-hint">${documents.length} documents discuss both</p>
+      ${formatDocumentList(sorted)}
+    `);
+  }
+
+  showPairTooltip(event, a, b) {
+    const key = pairKey(a.id, b.id);
+    const count = this.data.pairs.get(key)?.length || 0;
+    const related = this.relations.get(key);
+
+    showTooltip(event, `
+      <strong>${escapeHtml(a.label)}</strong> &amp; <strong>${escapeHtml(b.label)}</strong><br/>
+      ${count} documents discuss both
+      ${related !== undefined ? `<br/>Related in the theme map (strength ${related})` : ''}
+    `);
+  }
+}
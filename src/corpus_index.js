@@ -0,0 +1,58 @@
+/**
+ * Corpus Indexing for Gandhi Knowledge Graph
+ * Adjacency lists, per-node document years and the search index,
+ * computed in a single pass over the edges (run inside data.worker.js)
+ */
+
+import { SearchIndex } from './search.js';
+
+const PROGRESS_INTERVAL = 5000;
+
+export function buildCorpusIndex(nodes, edges, onProgress = () => {}) {
+  const nodesById = new Map(nodes.map(n => [n.id, n]));
+  const adjacency = new Map(nodes.map(n => [n.id, []]));
+  const documentYears = new Map();
+  const themeDocumentCounts = new Map();
+
+  edges.forEach((edge, i) => {
+    const source = nodesById.get(typeof edge.source === 'object' ? edge.source.id : edge.source);
+    const target = nodesById.get(typeof edge.target === 'object' ? edge.target.id : edge.target);
+
+    if (i % PROGRESS_INTERVAL === 0) onProgress(i / edges.length);
+    if (!source || !target) return;
+
+    adjacency.get(source.id).push(target.id);
+    adjacency.get(target.id).push(source.id);
+
+    // Years of every document connected to each non-document node
+    [[source, target], [target, source]].forEach(([doc, other]) => {
+      if (doc.type !== 'document' || other.type === 'document') return;
+
+      if (other.type === 'theme') {
+        themeDocumentCounts.set(other.id, (themeDocumentCounts.get(other.id) || 0) + 1);
+      }
+      if (!doc.properties?.year) return;
+
+      if (!documentYears.has(other.id)) documentYears.set(other.id, []);
+      documentYears.get(other.id).push(doc.properties.year);
+    });
+  });
+
+  // Average year travels with the nodes
+  nodes.forEach(node => {
+    if (!node.properties) node.properties = {};
+
+    const years = documentYears.get(node.id);
+    if ((node.type === 'theme' || node.type === 'person') && years?.length) {
+      node.properties.avgYear = Math.round(years.reduce((sum, year) => sum + year, 0) / years.length);
+    }
+  });
+
+  onProgress(1);
+
+  return { adjacency, documentYears, themeDocumentCounts };
+}
+
+export function buildSearchData(nodes, edges) {
+  return new SearchIndex(nodes, edges).serialize();
+}
@@ -0,0 +1,254 @@
+/**
+ * Correspondence Network for Gandhi Knowledge Graph
+ * Who Gandhi wrote to, how often and when - built on KnowledgeGraph
+ */
+
+import * as d3 from 'd3';
+import { KnowledgeGraph } from './graph.js';
+import { escapeHtml } from './search.js';
+import { parseDocumentDate } from './dates.js';
+
+export const GANDHI_ID = 'correspondent_gandhi';
+
+// Document types written to a correspondent; messages, replies and statements
+// with an addressee are addressed to the public or a meeting
+export const CORRESPONDENCE_TYPES = new Set(['LETTER', 'TELEGRAM']);
+
+export class CorrespondenceGraph extends KnowledgeGraph {
+  constructor(containerId, options = {}) {
+    super(containerId, options);
+    this.filters.types = new Set(['person']);
+  }
+
+  collectDocumentYears() {
+    // Correspondents are range-filtered through the years of their letters
+    this.documentYears = new Map(
+      this.originalNodes.map(node => [node.id, node.properties.years || []])
+    );
+  }
+
+  getTimelineY(node) {
+    // Gandhi in the middle, correspondents above, people mentioned in letters below
+    const centerY = this.height / 2;
+    if (node.id === GANDHI_ID) return centerY;
+    return node.properties.letterCount > 0
+      ? centerY - this.height / 6
+      : centerY + this.height / 6;
+  }
+
+  onNodeHover(event, node) {
+    const tooltip = d3.select('body').selectAll('.tooltip').data([0]);
+    const tooltipEnter = tooltip.enter().append('div').attr('class', 'tooltip');
+    const tooltipMerge = tooltipEnter.merge(tooltip);
+
+    const { letterCount, mentionCount, firstYear, lastYear } = node.properties;
+
+    tooltipMerge
+      .html(`
+        <strong>${escapeHtml(node.label)}</strong><br/>
+        ${letterCount ? `Letters: ${letterCount}<br/>` : ''}
+        ${mentionCount ? `Mentioned in letters: ${mentionCount}<br/>` : ''}
+        ${firstYear ? `${firstYear}${lastYear !== firstYear ? ` – ${lastYear}` : ''}` : ''}
+      `)
+      .style('left', (event.pageX + 10) + 'px')
+      .style('top', (event.pageY + 10) + 'px')
+      .classed('visible', true);
+  }
+}
+
+/**
+ * Build correspondent nodes and edges from document addressees and MENTIONS edges.
+ * Edge weight is the number of letters (CORRESPONDS) or mentions (MENTIONS).
+ */
+export function buildCorrespondenceData(nodes, edges) {
+  const nodesById = new Map(nodes.map(n => [n.id, n]));
+  const correspondents = new Map();
+
+  const getCorrespondent = (name) => {
+    const key = name.toLowerCase();
+    if (!correspondents.has(key)) {
+      correspondents.set(key, {
+        id: `correspondent_${key.replace(/[^a-z0-9]+/g, '_')}`,
+        name,
+        letters: [],
+        mentions: new Map()
+      });
+    }
+    return correspondents.get(key);
+  };
+
+  // Letters and telegrams, keyed by addressee
+  const documents = nodes.filter(n => n.type === 'document');
+  documents.forEach(doc => {
+    if (!doc.properties?.addressee || !CORRESPONDENCE_TYPES.has(doc.properties.docType)) return;
+    getCorrespondent(normalizeName(doc.properties.addressee)).letters.push(doc);
+  });
+
+  // People mentioned in letters to each correspondent
+  const lettersByDoc = new Map();
+  correspondents.forEach(correspondent => {
+    correspondent.letters.forEach(doc => lettersByDoc.set(doc.id, correspondent));
+  });
+
+  const mentionCounts = new Map();
+  edges.forEach(edge => {
+    if (edge.type !== 'MENTIONS') return;
+    const person = nodesById.get(typeof edge.target === 'object' ? edge.target.id : edge.target);
+    const doc = nodesById.get(typeof edge.source === 'object' ? edge.source.id : edge.source);
+    if (!person || !doc) return;
+
+    const mentioned = getCorrespondent(normalizeName(person.properties?.name || person.label));
+    mentionCounts.set(mentioned, (mentionCounts.get(mentioned) || []).concat(doc));
+
+    const writtenTo = lettersByDoc.get(doc.id);
+    if (writtenTo && writtenTo !== mentioned) {
+      writtenTo.mentions.set(mentioned, (writtenTo.mentions.get(mentioned) || 0) + 1);
+    }
+  });
+
+  const resultNodes = [];
+  const resultEdges = [];
+  const allYears = documents.map(d => d.properties.year).filter(Boolean);
+  const allLetters = [...lettersByDoc.keys()]
+    .map(id => nodesById.get(id))
+    .sort((a, b) => parseDocumentDate(a.properties.date) - parseDocumentDate(b.properties.date));
+
+  resultNodes.push({
+    id: GANDHI_ID,
+    type: 'person',
+    label: 'M. K. Gandhi',
+    size: 16,
+    properties: {
+      name: 'M. K. Gandhi',
+      letterCount: lettersByDoc.size,
+      letters: allLetters.map(doc => doc.id),
+      years: allYears,
+      avgYear: Math.round(d3.mean(allYears))
+    }
+  });
+
+  correspondents.forEach(correspondent => {
+    const mentionedIn = mentionCounts.get(correspondent) || [];
+    const years = [...correspondent.letters, ...mentionedIn]
+      .map(doc => doc.properties.year)
+      .filter(Boolean);
+
+    const letters = [...correspondent.letters].sort((a, b) =>
+      parseDocumentDate(a.properties.date) - parseDocumentDate(b.properties.date)
+    );
+
+    resultNodes.push({
+      id: correspondent.id,
+      type: 'person',
+      label: correspondent.name,
+      size: 4 + Math.sqrt(letters.length + mentionedIn.length) * 3,
+      properties: {
+        name: correspondent.name,
+        letterCount: letters.length,
+        mentionCount: mentionedIn.length,
+        letters: letters.map(doc => doc.id),
+        years,
+        firstYear: d3.min(years),
+        lastYear: d3.max(years),
+        avgYear: years.length ? Math.round(d3.mean(years)) : null
+      }
+    });
+
+    if (letters.length > 0) {
+      resultEdges.push({
+        id: `corresponds_${correspondent.id}`,
+        source: GANDHI_ID,
+        target: correspondent.id,
+        type: 'CORRESPONDS',
+        weight: letters.length
+      });
+    }
+
+    correspondent.mentions.forEach((count, mentioned) => {
+      resultEdges.push({
+        id: `mentions_${correspondent.id}_${mentioned.id}`,
+        source: correspondent.id,
+        target: mentioned.id,
+        type: 'MENTIONS',
+        weight: count
+      });
+    });
+  });
+
+  // People who are only mentioned, never written to or about in a letter, hang off Gandhi
+  const connected = new Set(resultEdges.flatMap(e => [e.source, e.target]));
+  resultNodes.forEach(node => {
+    if (connected.has(node.id) || node.id === GANDHI_ID || !node.properties.mentionCount) return;
+    resultEdges.push({
+      id: `mentions_${GANDHI_ID}_${node.id}`,
+      source: GANDHI_ID,
+      target: node.id,
+      type: 'MENTIONS',
+      weight: node.properties.mentionCount
+    });
+    connected.add(node.id);
+  });
+
+  return {
+    nodes: resultNodes.filter(n => connected.has(n.id)),
+    edges: resultEdges
+  };
+}
+
+function normalizeName(name) {
+  // "HEMPRABHA  DAS  GUPTA" → "Hemprabha Das Gupta"
+  return name
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase()
+    .replace(/(^|[\s.(-])([a-z])/g, (match, prefix, letter) => prefix + letter.toUpperCase());
+}
+
+/**
+ * Render a compact timeline of letters exchanged with one correspondent
+ */
+export function renderLetterTimeline(container, letters, onSelect) {
+  const width = container.clientWidth || 420;
+  const height = 70;
+  const margin = { left: 12, right: 12, top: 10, bottom: 22 };
+
+  const dated = letters
+    .map(doc => ({ doc, date: parseDocumentDate(doc.properties.date) }))
+    .filter(d => !Number.isNaN(d.date.getTime()));
+
+  container.innerHTML = '';
+  if (dated.length === 0) return;
+
+  const extent = d3.extent(dated, d => d.date);
+  if (extent[0].getTime() === extent[1].getTime()) {
+    extent[0] = d3.timeYear.offset(extent[0], -1);
+    extent[1] = d3.timeYear.offset(extent[1], 1);
+  }
+
+  const x = d3.scaleTime()
+    .domain(extent)
+    .range([margin.left, width - margin.right])
+    .nice();
+
+  const svg = d3.select(container)
+    .append('svg')
+    .attr('width', width)
+    .attr('height', height);
+
+  svg.append('g')
+    .attr('class', 'letter-timeline-axis')
+    .attr('transform', `translate(0,${height - margin.bottom})`)
+    .call(d3.axisBottom(x).ticks(Math.min(6, dated.length + 1)).tickSizeOuter(0));
+
+  svg.append('g')
+    .selectAll('circle')
+    .data(dated)
+    .join('circle')
+    .attr('class', 'letter-timeline-dot')
+    .attr('cx', d => x(d.date))
+    .attr('cy', (d, i) => margin.top + 8 + (i % 3) * 10)
+    .attr('r', 5)
+    .on('click', (event, d) => onSelect(d.doc))
+    .append('title')
+    .text(d => `${d.doc.properties.title} (${d.doc.properties.date})`);
+}
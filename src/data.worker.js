@@ -0,0 +1,96 @@
+/**
+ * Data Worker for Gandhi Knowledge Graph
+ * Downloads, parses and indexes the corpus off the main thread,
+ * posting progress messages for the loading screen
+ */
+
+import { buildCorpusIndex, buildSearchData } from './corpus_index.js';
+
+// Share of the progress bar given to each stage
+const STAGES = {
+  download: [0, 0.6],
+  parse: [0.6, 0.65],
+  index: [0.65, 0.8],
+  search: [0.8, 1]
+};
+
+self.onmessage = async (event) => {
+  if (event.data.type !== 'load') return;
+
+  try {
+    const { urls } = event.data;
+    const [nodes, edges, metadata] = await downloadAll([urls.nodes, urls.edges, urls.metadata]);
+
+    reportProgress('index', 0, `Indexing ${nodes.length.toLocaleString()} nodes and ${edges.length.toLocaleString()} connections...`);
+    const index = buildCorpusIndex(nodes, edges, (fraction) => {
+      reportProgress('index', fraction, `Indexing ${nodes.length.toLocaleString()} nodes and ${edges.length.toLocaleString()} connections...`);
+    });
+
+    reportProgress('search', 0, 'Building search index...');
+    // Full text stays in the content shards until a full-text search or query needs it
+    index.search = buildSearchData(nodes, edges);
+    reportProgress('search', 1, 'Rendering...');
+
+    self.postMessage({ type: 'loaded', nodes, edges, metadata, index });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
+
+async function downloadAll(urls) {
+  const loaded = new Array(urls.length).fill(0);
+  const totals = new Array(urls.length).fill(0);
+
+  const onChunk = () => {
+    const total = totals.reduce((a, b) => a + b, 0);
+    const done = loaded.reduce((a, b) => a + b, 0);
+    reportProgress(
+      'download',
+      total ? done / total : 0,
+      `Downloading ${(done / 1e6).toFixed(1)}${total ? ` of ${(total / 1e6).toFixed(1)}` : ''} MB...`
+    );
+  };
+
+  const texts = await Promise.all(urls.map(async (url, i) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`HTTP error ${response.status} loading ${url}`);
+
+    // Content-Length is the compressed size when gzipped, so progress is approximate
+    totals[i] = Number(response.headers.get('Content-Length')) || 0;
+    if (!response.body) return response.text();
+
+    const reader = response.body.getReader();
+    const chunks = [];
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      loaded[i] += value.length;
+      totals[i] = Math.max(totals[i], loaded[i]);
+      onChunk();
+    }
+
+    const bytes = new Uint8Array(loaded[i]);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      bytes.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return new TextDecoder().decode(bytes);
+  }));
+
+  reportProgress('parse', 0, 'Parsing documents...');
+  const parsed = texts.map(text => JSON.parse(text));
+  reportProgress('parse', 1, 'Parsing documents...');
+  return parsed;
+}
+
+function reportProgress(stage, fraction, message) {
+  const [start, end] = STAGES[stage];
+  self.postMessage({
+    type: 'progress',
+    stage,
+    progress: start + (end - start) * Math.min(fraction, 1),
+    message
+  });
+}
@@ -0,0 +1,35 @@
+/**
+ * Corpus Loader
+ * Runs data.worker.js and resolves with nodes, edges, metadata and precomputed indexes
+ */
+
+export function loadCorpus(urls, { onProgress = () => {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(new URL('./data.worker.js', import.meta.url), { type: 'module' });
+
+    worker.onmessage = (event) => {
+      const message = event.data;
+
+      switch (message.type) {
+        case 'progress':
+          onProgress(message);
+          break;
+        case 'loaded':
+          worker.terminate();
+          resolve(message);
+          break;
+        case 'error':
+          worker.terminate();
+          reject(new Error(message.message));
+          break;
+      }
+    };
+
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || 'Data worker failed to start'));
+    };
+
+    worker.postMessage({ type: 'load', urls });
+  });
+}
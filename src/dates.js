@@ -0,0 +1,30 @@
+/**
+ * CWMG Date Helpers
+ * Document dates in the dataset are written day-month-year, e.g. "09-02-1942"
+ */
+
+export const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+];
+
+/**
+ * Parse CWMG dates ("09-02-1942", day-month-year) for sorting
+ */
+export function parseDocumentDate(dateStr) {
+  const parts = (dateStr || '').split('-').map(p => parseInt(p));
+  if (parts.length === 3 && parts.every(p => !Number.isNaN(p))) {
+    const [day, month, year] = parts;
+    return new Date(year, month - 1, day);
+  }
+  return new Date(NaN);
+}
+
+export function isValidDate(date) {
+  return date instanceof Date && !Number.isNaN(date.getTime());
+}
+
+export function toIsoDate(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
@@ -0,0 +1,117 @@
+/**
+ * Entity Mentions for Gandhi Knowledge Graph
+ * Highlights people, events and theme keywords in document text, matched
+ * against the graph's node labels and `properties.keywords`
+ */
+
+import { wrapTextRange } from './annotations.js';
+
+// Earlier types win when two nodes share a term
+const ENTITY_TYPES = ['event', 'person', 'theme'];
+const SETTINGS_KEY = 'gandhi-entity-highlights';
+
+export class EntityMatcher {
+  constructor(nodes) {
+    this.nodesByTerm = new Map();
+
+    ENTITY_TYPES.forEach(type => {
+      nodes.filter(node => node.type === type).forEach(node => {
+        getTerms(node).forEach(term => {
+          const key = normalizeTerm(term);
+          if (key.length > 2 && !this.nodesByTerm.has(key)) this.nodesByTerm.set(key, node);
+        });
+      });
+    });
+
+    // Longest terms first, so "Salt March" is matched before "Salt"
+    const terms = [...this.nodesByTerm.keys()].sort((a, b) => b.length - a.length);
+    this.pattern = terms.length
+      ? new RegExp(`\\b(?:${terms.map(term => escapeRegExp(term).replace(/ /g, '\\s+')).join('|')})\\b`, 'gi')
+      : null;
+  }
+
+  /**
+   * Mentions in a text, as { start, end, node }
+   */
+  findMentions(text) {
+    if (!this.pattern || !text) return [];
+
+    return [...text.matchAll(this.pattern)].map(match => ({
+      start: match.index,
+      end: match.index + match[0].length,
+      node: this.nodesByTerm.get(normalizeTerm(match[0]))
+    })).filter(mention => mention.node);
+  }
+}
+
+/**
+ * Wrap the mentions in a rendered document's text. The text itself is unchanged,
+ * so annotation offsets still hold. `onSelect` receives the clicked mention's node.
+ */
+export function highlightEntities(container, matcher, { onSelect }) {
+  const mentions = matcher.findMentions(container.textContent);
+
+  // Wrapping splits text nodes but keeps offsets, so the mentions can be wrapped in any order
+  mentions.forEach(({ start, end, node }) => {
+    wrapTextRange(container, start, end, span => {
+      span.className = `entity-mention entity-${node.type}`;
+      span.dataset.nodeId = node.id;
+      span.title = `${node.label} (${node.type})`;
+    }, 'span');
+  });
+
+  container.addEventListener('click', (event) => {
+    const span = event.target.closest('.entity-mention');
+    // Leave text selection (annotating) alone, and mentions that are switched off
+    if (!span || !window.getSelection().isCollapsed || container.classList.contains('entities-hidden')) return;
+
+    const mention = mentions.find(m => m.node.id === span.dataset.nodeId);
+    if (mention) onSelect(mention.node);
+  });
+
+  return mentions;
+}
+
+/**
+ * Legend with an on/off switch; the choice is remembered between documents
+ */
+export function renderEntityLegend(container, textEl, mentions) {
+  const types = ENTITY_TYPES.filter(type => mentions.some(m => m.node.type === type));
+  if (types.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const enabled = localStorage.getItem(SETTINGS_KEY) !== 'off';
+  textEl.classList.toggle('entities-hidden', !enabled);
+
+  container.innerHTML = `
+    <label><input type="checkbox" ${enabled ? 'checked' : ''}> Highlight mentions</label>
+    ${types.map(type => `<span class="entity-swatch entity-${type}">${type === 'person' ? 'people' : `${type}s`}</span>`).join('')}
+  `;
+
+  container.querySelector('input').addEventListener('change', (event) => {
+    textEl.classList.toggle('entities-hidden', !event.target.checked);
+    localStorage.setItem(SETTINGS_KEY, event.target.checked ? 'on' : 'off');
+  });
+}
+
+/**
+ * A node's label split on parentheses and "&" ("Truth (Satya)" gives "Truth" and
+ * "Satya"), plus its keywords
+ */
+function getTerms(node) {
+  const label = node.properties?.name || node.label || '';
+  const parts = node.type === 'theme' ? label.split(/[()&]/) : [label];
+  return [...parts, ...(node.properties?.keywords || [])]
+    .map(term => term.trim())
+    .filter(Boolean);
+}
+
+function normalizeTerm(term) {
+  return term.replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
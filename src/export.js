@@ -0,0 +1,314 @@
+/**
+ * Graph Export for Gandhi Knowledge Graph
+ * Serializes the currently filtered graph to GEXF, GraphML, CSV and the native JSON shape
+ * for analysis in Gephi, Cytoscape or a spreadsheet
+ */
+
+import { parseDocumentDate, toIsoDate } from './dates.js';
+
+export const EXPORT_FORMATS = {
+  gexf: { extension: 'gexf', mimeType: 'application/gexf+xml' },
+  graphml: { extension: 'graphml', mimeType: 'application/graphml+xml' },
+  csv: { extension: 'csv', mimeType: 'text/csv' },
+  json: { extension: 'json', mimeType: 'application/json' }
+};
+
+// Fields added by the d3 force simulation, not part of the data
+const SIMULATION_FIELDS = new Set(['x', 'y', 'vx', 'vy', 'fx', 'fy', 'index']);
+
+/**
+ * Export the visible nodes and edges of a KnowledgeGraph in the given format.
+ * The graph also supplies layout positions, colours and the years used for timestamps.
+ * Files are downloaded straight away; CSV downloads a nodes file and an edges file.
+ */
+export function exportGraph(graph, format, baseName = 'gandhi-graph') {
+  const nodes = graph.nodes;
+  const edges = graph.edges;
+  const { extension, mimeType } = EXPORT_FORMATS[format];
+
+  switch (format) {
+    case 'gexf':
+      downloadFile(`${baseName}.${extension}`, toGEXF(nodes, edges, graph), mimeType);
+      break;
+    case 'graphml':
+      downloadFile(`${baseName}.${extension}`, toGraphML(nodes, edges, graph), mimeType);
+      break;
+    case 'csv': {
+      const csv = toCSV(nodes, edges, graph);
+      downloadFile(`${baseName}-nodes.csv`, csv.nodes, mimeType);
+      downloadFile(`${baseName}-edges.csv`, csv.edges, mimeType);
+      break;
+    }
+    case 'json': {
+      const json = toJSON(nodes, edges);
+      downloadFile(`${baseName}-nodes.json`, JSON.stringify(json.nodes, null, 2), mimeType);
+      downloadFile(`${baseName}-edges.json`, JSON.stringify(json.edges, null, 2), mimeType);
+      break;
+    }
+    default:
+      throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Native nodes.json/edges.json shape, with simulation state stripped
+ * and edge endpoints written back as ids
+ */
+export function toJSON(nodes, edges) {
+  return {
+    nodes: nodes.map(node => Object.fromEntries(
+      Object.entries(node).filter(([key]) => !SIMULATION_FIELDS.has(key))
+    )),
+    edges: edges.map(edge => ({
+      ...edge,
+      source: endpointId(edge.source),
+      target: endpointId(edge.target)
+    }))
+  };
+}
+
+export function toCSV(nodes, edges, graph = null) {
+  const propertyKeys = collectPropertyKeys(nodes);
+  const timespans = new Map(nodes.map(node => [node.id, getNodeTimespan(node, graph?.documentYears)]));
+
+  const nodeRows = [
+    ['id', 'label', 'type', 'size', 'start', 'end', ...propertyKeys],
+    ...nodes.map(node => {
+      const { start, end } = timespans.get(node.id);
+      return [
+        node.id, node.label, node.type, node.size, start, end,
+        ...propertyKeys.map(key => formatValue(node.properties?.[key]))
+      ];
+    })
+  ];
+
+  const edgeRows = [
+    ['id', 'source', 'target', 'type', 'weight', 'start'],
+    ...edges.map(edge => [
+      edge.id,
+      endpointId(edge.source),
+      endpointId(edge.target),
+      edge.type,
+      edge.weight ?? 1,
+      getEdgeStart(edge, timespans)
+    ])
+  ];
+
+  return {
+    nodes: formatCSV(nodeRows),
+    edges: formatCSV(edgeRows)
+  };
+}
+
+/**
+ * Rows of cell values as CSV text, quoting cells where needed
+ */
+export function formatCSV(rows) {
+  return rows.map(row => row.map(csvCell).join(',')).join('\n');
+}
+
+export function toGraphML(nodes, edges, graph = null) {
+  const propertyKeys = collectPropertyKeys(nodes);
+  const timespans = new Map(nodes.map(node => [node.id, getNodeTimespan(node, graph?.documentYears)]));
+
+  const nodeKeys = ['label', 'type', 'size', 'start', 'end', ...propertyKeys.map(key => `prop_${key}`)];
+  const keyName = (key) => key.replace(/^prop_/, '');
+
+  const nodeXml = nodes.map(node => {
+    const { start, end } = timespans.get(node.id);
+    const values = {
+      label: node.label,
+      type: node.type,
+      size: node.size,
+      start,
+      end,
+      ...Object.fromEntries(propertyKeys.map(key => [`prop_${key}`, formatValue(node.properties?.[key])]))
+    };
+
+    return `    <node id="${escapeXml(node.id)}">\n` +
+      nodeKeys
+        .filter(key => values[key] !== '' && values[key] != null)
+        .map(key => `      <data key="${key}">${escapeXml(values[key])}</data>`)
+        .join('\n') +
+      '\n    </node>';
+  });
+
+  const edgeXml = edges.map(edge => {
+    const start = getEdgeStart(edge, timespans);
+    return `    <edge id="${escapeXml(edge.id)}" source="${escapeXml(endpointId(edge.source))}" target="${escapeXml(endpointId(edge.target))}">\n` +
+      `      <data key="e_type">${escapeXml(edge.type)}</data>\n` +
+      `      <data key="e_weight">${edge.weight ?? 1}</data>\n` +
+      (start ? `      <data key="e_start">${start}</data>\n` : '') +
+      '    </edge>';
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<graphml xmlns="http://graphml.graphdrawing.org/xmlns"
+    xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+    xsi:schemaLocation="http://graphml.graphdrawing.org/xmlns http://graphml.graphdrawing.org/xmlns/1.0/graphml.xsd">
+${nodeKeys.map(key => `  <key id="${key}" for="node" attr.name="${escapeXml(keyName(key))}" attr.type="string"/>`).join('\n')}
+  <key id="e_type" for="edge" attr.name="type" attr.type="string"/>
+  <key id="e_weight" for="edge" attr.name="weight" attr.type="double"/>
+  <key id="e_start" for="edge" attr.name="start" attr.type="string"/>
+  <graph id="G" edgedefault="directed">
+${nodeXml.join('\n')}
+${edgeXml.join('\n')}
+  </graph>
+</graphml>
+`;
+}
+
+/**
+ * GEXF 1.3 with node/edge spells so Gephi's timeline can replay the graph.
+ * Positions, colours and sizes from the current layout are included as viz attributes.
+ */
+export function toGEXF(nodes, edges, graph = null) {
+  const propertyKeys = collectPropertyKeys(nodes);
+  const timespans = new Map(nodes.map(node => [node.id, getNodeTimespan(node, graph?.documentYears)]));
+  const today = new Date().toISOString().slice(0, 10);
+
+  const spell = ({ start, end }) =>
+    (start ? ` start="${start}"` : '') + (end ? ` end="${end}"` : '');
+
+  const nodeXml = nodes.map(node => {
+    const attvalues = [
+      `          <attvalue for="type" value="${escapeXml(node.type)}"/>`,
+      ...propertyKeys
+        .map((key, i) => [i, formatValue(node.properties?.[key])])
+        .filter(([, value]) => value !== '')
+        .map(([i, value]) => `          <attvalue for="${i}" value="${escapeXml(value)}"/>`)
+    ];
+
+    const viz = graph ? [
+      `        <viz:color hex="${graph.getNodeColor(node)}"/>`,
+      `        <viz:size value="${graph.getNodeSize(node)}"/>`,
+      Number.isFinite(node.x) ? `        <viz:position x="${node.x.toFixed(2)}" y="${(-node.y).toFixed(2)}" z="0"/>` : null
+    ].filter(Boolean) : [];
+
+    return `      <node id="${escapeXml(node.id)}" label="${escapeXml(node.label)}"${spell(timespans.get(node.id))}>\n` +
+      `        <attvalues>\n${attvalues.join('\n')}\n        </attvalues>\n` +
+      (viz.length ? viz.join('\n') + '\n' : '') +
+      '      </node>';
+  });
+
+  const edgeXml = edges.map(edge => {
+    const start = getEdgeStart(edge, timespans);
+    return `      <edge id="${escapeXml(edge.id)}" source="${escapeXml(endpointId(edge.source))}" target="${escapeXml(endpointId(edge.target))}" ` +
+      `label="${escapeXml(edge.type)}" weight="${edge.weight ?? 1}"${spell({ start })}>\n` +
+      `        <attvalues><attvalue for="type" value="${escapeXml(edge.type)}"/></attvalues>\n` +
+      '      </edge>';
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<gexf xmlns="http://gexf.net/1.3" xmlns:viz="http://gexf.net/1.3/viz" version="1.3">
+  <meta lastmodifieddate="${today}">
+    <creator>Gandhi Knowledge Graph</creator>
+    <description>Filtered subgraph of The Collected Works of Mahatma Gandhi</description>
+  </meta>
+  <graph mode="dynamic" defaultedgetype="directed" timeformat="date" timerepresentation="interval">
+    <attributes class="node">
+      <attribute id="type" title="type" type="string"/>
+${propertyKeys.map((key, i) => `      <attribute id="${i}" title="${escapeXml(key)}" type="string"/>`).join('\n')}
+    </attributes>
+    <attributes class="edge">
+      <attribute id="type" title="type" type="string"/>
+    </attributes>
+    <nodes>
+${nodeXml.join('\n')}
+    </nodes>
+    <edges>
+${edgeXml.join('\n')}
+    </edges>
+  </graph>
+</gexf>
+`;
+}
+
+/**
+ * ISO start/end dates for a node:
+ * documents and events on their date, periods across their decade,
+ * themes and people across the years of the documents that reference them
+ */
+function getNodeTimespan(node, documentYears = null) {
+  const props = node.properties || {};
+
+  if (node.type === 'document') {
+    const date = parseDocumentDate(props.date);
+    const start = Number.isNaN(date.getTime()) ? yearToDate(props.year) : toIsoDate(date);
+    return { start, end: null };
+  }
+
+  if (node.type === 'event') {
+    return { start: /^\d{4}-\d{2}-\d{2}$/.test(props.date) ? props.date : yearToDate(props.year), end: null };
+  }
+
+  if (node.type === 'period') {
+    const year = parseInt(props.year);
+    return Number.isNaN(year)
+      ? { start: null, end: null }
+      : { start: yearToDate(year), end: `${year + 9}-12-31` };
+  }
+
+  const years = (documentYears?.get(node.id) || props.years || []).map(y => parseInt(y)).filter(y => !Number.isNaN(y));
+  if (years.length === 0) return { start: null, end: null };
+  return { start: yearToDate(Math.min(...years)), end: `${Math.max(...years)}-12-31` };
+}
+
+// An edge appears when its later endpoint does
+function getEdgeStart(edge, timespans) {
+  const starts = [endpointId(edge.source), endpointId(edge.target)]
+    .map(id => timespans.get(id)?.start)
+    .filter(Boolean)
+    .sort();
+  return starts[starts.length - 1] || null;
+}
+
+function collectPropertyKeys(nodes) {
+  const keys = new Set();
+  nodes.forEach(node => Object.keys(node.properties || {}).forEach(key => keys.add(key)));
+  return [...keys];
+}
+
+function formatValue(value) {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join('; ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+function endpointId(endpoint) {
+  return typeof endpoint === 'object' ? endpoint.id : endpoint;
+}
+
+function yearToDate(year) {
+  const y = parseInt(year);
+  return Number.isNaN(y) ? null : `${y}-01-01`;
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+}
+
+export function downloadFile(filename, content, mimeType) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
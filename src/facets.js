@@ -0,0 +1,116 @@
+/**
+ * Facet Sidebar for Gandhi Knowledge Graph
+ * Live document counts per docType, language, volume, decade and theme
+ */
+
+import { escapeHtml } from './search.js';
+
+export const FACETS = [
+  {
+    key: 'docType',
+    label: 'Document Type',
+    values: (doc) => [doc.properties?.docType].filter(Boolean)
+  },
+  {
+    key: 'language',
+    label: 'Language',
+    values: (doc) => [doc.properties?.language].filter(Boolean)
+  },
+  {
+    key: 'volume',
+    label: 'Volume',
+    values: (doc) => doc.properties?.volume ? [String(doc.properties.volume)] : [],
+    sort: (a, b) => parseInt(a.value) - parseInt(b.value)
+  },
+  {
+    key: 'decade',
+    label: 'Decade',
+    values: (doc) => doc.properties?.year ? [`${Math.floor(doc.properties.year / 10) * 10}s`] : [],
+    sort: (a, b) => a.value.localeCompare(b.value)
+  },
+  {
+    key: 'theme',
+    label: 'Theme',
+    values: (doc, links) => (links.themes.get(doc.id) || []).map(theme => theme.id),
+    format: (value, nodesById) => nodesById.get(value)?.properties?.name || value
+  }
+];
+
+export function createFacetSelections() {
+  return Object.fromEntries(FACETS.map(facet => [facet.key, new Set()]));
+}
+
+/**
+ * Test a document against every facet, optionally skipping one facet
+ * (a facet's own counts ignore its own selection so other values stay pickable)
+ */
+export function matchesFacets(doc, selections, links, skipKey = null) {
+  return FACETS.every(facet => {
+    if (facet.key === skipKey) return true;
+    const selected = selections?.[facet.key];
+    if (!selected || selected.size === 0) return true;
+    return facet.values(doc, links).some(value => selected.has(value));
+  });
+}
+
+export function computeFacetCounts(documents, selections, links) {
+  const counts = {};
+
+  FACETS.forEach(facet => {
+    const facetCounts = new Map();
+
+    documents.forEach(doc => {
+      if (!matchesFacets(doc, selections, links, facet.key)) return;
+      new Set(facet.values(doc, links)).forEach(value => {
+        facetCounts.set(value, (facetCounts.get(value) || 0) + 1);
+      });
+    });
+
+    // Keep selected values visible even when their count drops to zero
+    selections[facet.key]?.forEach(value => {
+      if (!facetCounts.has(value)) facetCounts.set(value, 0);
+    });
+
+    counts[facet.key] = facetCounts;
+  });
+
+  return counts;
+}
+
+export function renderFacetPanel(container, counts, selections, nodesById, onChange) {
+  container.innerHTML = FACETS.map(facet => {
+    const entries = [...counts[facet.key].entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort(facet.sort || ((a, b) => b.count - a.count));
+
+    if (entries.length === 0) return '';
+
+    return `
+      <details class="facet-group" ${selections[facet.key].size > 0 ? 'open' : ''}>
+        <summary>${facet.label}</summary>
+        <div class="filter-group">
+          ${entries.map(({ value, count }) => `
+            <label class="facet-option ${count === 0 ? 'empty' : ''}">
+              <input type="checkbox" data-facet="${facet.key}" value="${escapeHtml(value)}"
+                ${selections[facet.key].has(value) ? 'checked' : ''}>
+              <span class="facet-name">${escapeHtml(facet.format ? facet.format(value, nodesById) : value)}</span>
+              <span class="facet-count">${count}</span>
+            </label>
+          `).join('')}
+        </div>
+      </details>
+    `;
+  }).join('');
+
+  container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      const selected = selections[checkbox.dataset.facet];
+      if (checkbox.checked) {
+        selected.add(checkbox.value);
+      } else {
+        selected.delete(checkbox.value);
+      }
+      onChange(selections);
+    });
+  });
+}
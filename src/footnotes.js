@@ -0,0 +1,209 @@
+/**
+ * Footnotes and Cross-References for Gandhi Knowledge Graph
+ * Footnote markers in document text open the footnote in a pop-over, and the
+ * CWMG's references to other items ("Vide “Letter to …”, 12-3-1930") are linked
+ * to those documents when they are in the dataset
+ */
+
+import { getDocumentKey } from './annotations.js';
+import { MONTH_NAMES, isValidDate, parseDocumentDate, toIsoDate } from './dates.js';
+import { escapeHtml } from './search.js';
+
+// A quoted item title, optionally followed by its date ("26-8-1905" or "November 9, 1903")
+const REFERENCE_PATTERN = /[“"”]([^“”"]{2,200})[”"]\s*,?\s*(\d{1,2}-\d{1,2}-\d{4}|[A-Z][a-z]+\.? \d{1,2},\s?\d{4})?/g;
+
+let openPopover = null;
+
+/**
+ * Finds referenced documents by title and date, across graph nodes or tree documents
+ */
+export class ReferenceIndex {
+  constructor(documents) {
+    this.byTitle = new Map();
+    this.byKey = new Map();
+
+    documents.forEach(doc => {
+      const props = doc.properties || doc;
+      const title = normalizeTitle(props.title || doc.label);
+      if (!this.byTitle.has(title)) this.byTitle.set(title, []);
+      this.byTitle.get(title).push(doc);
+      this.byKey.set(getDocumentKey(doc), doc);
+    });
+  }
+
+  get(key) {
+    return this.byKey.get(key) || null;
+  }
+
+  /**
+   * The referenced document, or null. Titles such as "Notes" recur, so without a date
+   * only a title that occurs once is linked.
+   */
+  resolve({ title, date }) {
+    const candidates = this.byTitle.get(normalizeTitle(title)) || [];
+    if (!date) return candidates.length === 1 ? candidates[0] : null;
+
+    const isoDate = normalizeDate(date);
+    return candidates.find(doc => normalizeDate((doc.properties || doc).date) === isoDate) || null;
+  }
+}
+
+/**
+ * References to other items in a footnote, with their character positions
+ */
+export function findReferences(text) {
+  if (!/\bvide\b/i.test(text || '')) return [];
+
+  return [...text.matchAll(REFERENCE_PATTERN)].map(match => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    title: match[1].trim(),
+    date: match[2] || null
+  }));
+}
+
+/**
+ * Footnote text as HTML, with references to documents found in `references` linked
+ */
+export function linkReferences(text, references = null) {
+  if (!text) return '';
+  if (!references) return text;
+
+  let html = '';
+  let position = 0;
+  findReferences(text).forEach(reference => {
+    const doc = references.resolve(reference);
+    if (!doc) return;
+
+    html += text.slice(position, reference.start);
+    html += `<a href="#" class="footnote-reference" data-doc-key="${escapeHtml(getDocumentKey(doc))}" title="Open this document">${text.slice(reference.start, reference.end)}</a>`;
+    position = reference.end;
+  });
+  return html + text.slice(position);
+}
+
+/**
+ * Make the footnote markers (see formatContent) and reference links in a rendered
+ * document clickable. `onOpenDocument` receives the referenced document.
+ */
+export function attachFootnotes(container, footnotes, options = {}) {
+  const { references = null, onOpenDocument = null } = options;
+
+  const openReference = (event) => {
+    const link = event.target.closest('.footnote-reference');
+    if (!link) return false;
+
+    event.preventDefault();
+    const doc = references?.get(link.dataset.docKey);
+    if (doc && onOpenDocument) {
+      closeFootnotePopover();
+      onOpenDocument(doc);
+    }
+    return true;
+  };
+
+  const toggleMarker = (marker) => {
+    if (openPopover?.marker === marker) {
+      closeFootnotePopover();
+      return;
+    }
+    const text = footnotes?.[marker.dataset.footnote];
+    showFootnotePopover(marker, text
+      ? linkReferences(text, references)
+      : '<em>Footnote text not available.</em>', openReference);
+  };
+
+  // Handled clicks stop here, e.g. so a journey card doesn't collapse
+  container.addEventListener('click', (event) => {
+    if (openReference(event)) {
+      event.stopPropagation();
+      return;
+    }
+    const marker = event.target.closest('.footnote-ref');
+    if (marker) {
+      event.stopPropagation();
+      toggleMarker(marker);
+    }
+  });
+
+  container.addEventListener('keydown', (event) => {
+    const marker = event.target.closest('.footnote-ref');
+    if (marker && (event.key === 'Enter' || event.key === ' ')) {
+      event.preventDefault();
+      toggleMarker(marker);
+    }
+  });
+}
+
+/**
+ * The pop-over is kept outside the document text so annotation offsets aren't disturbed
+ */
+function showFootnotePopover(marker, html, onClick) {
+  closeFootnotePopover();
+
+  const popover = document.createElement('div');
+  popover.className = 'footnote-popover';
+  popover.setAttribute('role', 'note');
+  popover.innerHTML = `<strong>[${escapeHtml(marker.dataset.footnote)}]</strong> ${html}`;
+  popover.addEventListener('click', onClick);
+  document.body.appendChild(popover);
+
+  const rect = marker.getBoundingClientRect();
+  const left = Math.min(rect.left, window.innerWidth - popover.offsetWidth - 12);
+  const below = rect.bottom + 6 + popover.offsetHeight < window.innerHeight;
+  popover.style.left = `${Math.max(12, left)}px`;
+  popover.style.top = `${below ? rect.bottom + 6 : rect.top - popover.offsetHeight - 6}px`;
+
+  const onOutside = (event) => {
+    if (!popover.contains(event.target) && event.target !== marker) closeFootnotePopover();
+  };
+  const onKeydown = (event) => {
+    if (event.key === 'Escape') closeFootnotePopover();
+  };
+  // Scrolling would leave the pop-over behind its marker
+  const onScroll = (event) => {
+    if (!popover.contains(event.target)) closeFootnotePopover();
+  };
+
+  document.addEventListener('mousedown', onOutside);
+  document.addEventListener('keydown', onKeydown);
+  document.addEventListener('scroll', onScroll, true);
+
+  openPopover = {
+    marker,
+    close: () => {
+      popover.remove();
+      document.removeEventListener('mousedown', onOutside);
+      document.removeEventListener('keydown', onKeydown);
+      document.removeEventListener('scroll', onScroll, true);
+    }
+  };
+}
+
+export function closeFootnotePopover() {
+  openPopover?.close();
+  openPopover = null;
+}
+
+function normalizeTitle(title) {
+  return String(title || '')
+    .replace(/[‘’]/g, "'")
+    .replace(/\s+/g, ' ')
+    .replace(/[.,;:]+$/, '')
+    .trim()
+    .toUpperCase();
+}
+
+function normalizeDate(dateStr) {
+  const text = String(dateStr || '').trim();
+  let date = parseDocumentDate(text);
+
+  // "November 9, 1903"
+  const named = text.match(/^([A-Z][a-z]+)\.? (\d{1,2}),\s?(\d{4})$/);
+  if (named) {
+    const month = MONTH_NAMES.findIndex(name => name.startsWith(named[1]));
+    date = month === -1 ? new Date(NaN) : new Date(parseInt(named[3]), month, parseInt(named[2]));
+  }
+
+  return isValidDate(date) ? toIsoDate(date) : null;
+}
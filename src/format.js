@@ -0,0 +1,38 @@
+/**
+ * Document Text Formatting
+ * Renders CWMG document content and footnotes as HTML for the reading panels
+ * (footnote markers are made clickable by attachFootnotes in footnotes.js)
+ */
+
+import { linkReferences } from './footnotes.js';
+
+export function formatContent(content) {
+  if (!content) return '';
+
+  // Replace footnote markers with superscript
+  let formatted = content.replace(/\{(\d+)\}/g, '<sup class="footnote-ref" data-footnote="$1" role="button" tabindex="0">[$1]</sup>');
+
+  // Basic paragraph breaks (double newline)
+  formatted = formatted.replace(/\n\n/g, '<br/><br/>');
+
+  return formatted;
+}
+
+/**
+ * Footnote list; references to documents found in `references` (a ReferenceIndex) are linked
+ */
+export function formatFootnotes(footnotes, references = null) {
+  if (!footnotes || Object.keys(footnotes).length === 0) return '';
+
+  let html = '<div style="margin-top: 2rem; padding-top: 1rem; border-top: 1px solid #ddd;">';
+  html += '<h3 style="font-size: 1.2rem; margin-bottom: 1rem;">Footnotes</h3>';
+
+  for (const [num, text] of Object.entries(footnotes)) {
+    html += `<div style="margin-bottom: 1rem;">
+      <strong>[${num}]</strong> ${linkReferences(text, references)}
+    </div>`;
+  }
+
+  html += '</div>';
+  return html;
+}
@@ -3,6 +3,13 @@
  */
 
 import * as d3 from 'd3';
+import { SearchIndex } from './search.js';
+import { buildDocumentLinks, createQueryMatcher } from './query.js';
+import { createFacetSelections, matchesFacets } from './facets.js';
+
+// Span of Gandhi's life, used for timeline positioning and year range filters
+export const TIMELINE_START = 1869;
+export const TIMELINE_END = 1948;
 
 export class KnowledgeGraph {
   constructor(containerId, options = {}) {
@@ -22,13 +29,18 @@ export class KnowledgeGraph {
     this.edges = [];
     this.originalNodes = [];
     this.originalEdges = [];
+    this.documentLinks = { themes: new Map(), people: new Map(), getText: () => undefined };
 
     // Selection state
     this.selectedNode = null;
     this.filters = {
       types: new Set(['theme', 'person', 'event', 'period']),
-      year: null
+      yearRange: null,
+      query: null,
+      facets: createFacetSelections()
     };
+    this.queryMatcher = () => true;
+    this.documentYears = new Map();
 
     // Initialize
     this.init();
@@ -84,6 +96,23 @@ export class KnowledgeGraph {
     console.log('Updated dimensions:', { width: this.width, height: this.height });
   }
 
+  resize() {
+    // Re-measure after the container becomes visible or changes size
+    this.updateDimensions();
+
+    this.svg
+      .attr('width', this.width)
+      .attr('height', this.height)
+      .attr('viewBox', `0 0 ${this.width} ${this.height}`);
+
+    this.simulation
+      .force('center', d3.forceCenter(this.width / 2, this.height / 2).strength(0.05))
+      .force('x', d3.forceX(d => this.getTimelineX(d)).strength(0.8))
+      .force('y', d3.forceY(d => this.getTimelineY(d)).strength(0.3))
+      .alpha(0.3)
+      .restart();
+  }
+
   createSimulation() {
     // Initialize force simulation with timeline-based x positioning
     const centerX = this.width / 2;
@@ -112,9 +141,9 @@ export class KnowledgeGraph {
   }
 
   getTimelineX(node) {
-    // Map years 1884-1929 to horizontal position across the width
-    const minYear = 1884;
-    const maxYear = 1929;
+    // Map years across Gandhi's life to horizontal position across the width
+    const minYear = TIMELINE_START;
+    const maxYear = TIMELINE_END;
     const margin = 100; // Margin from edges
 
     let year = null;
@@ -169,39 +198,60 @@ export class KnowledgeGraph {
         d3.json(edgesPath)
       ]);
 
-      this.originalNodes = nodes;
-      this.originalEdges = edges;
+      this.setData(nodes, edges);
 
-      // Initialize node positions at center with random spread
-      const centerX = this.width / 2;
-      const centerY = this.height / 2;
+      return { nodes, edges };
+    } catch (error) {
+      console.error('Error loading data:', error);
+      throw error;
+    }
+  }
 
-      console.log('Initializing nodes at center:', { centerX, centerY });
+  /**
+   * precomputed carries indexes built by the data worker (adjacency, documentYears),
+   * computed here when missing, and getText, a lookup of full texts loaded so far
+   */
+  setData(nodes, edges, precomputed = {}) {
+    this.originalNodes = nodes;
+    this.originalEdges = edges;
+    this.searchIndex = null;
 
-      this.nodes = nodes.map(node => ({
-        ...node,
-        x: centerX + (Math.random() - 0.5) * 300,
-        y: centerY + (Math.random() - 0.5) * 300,
-        vx: 0,
-        vy: 0
-      }));
+    // Initialize node positions at center with random spread
+    const centerX = this.width / 2;
+    const centerY = this.height / 2;
 
-      this.edges = [...edges];
+    console.log('Initializing nodes at center:', { centerX, centerY });
 
-      // Calculate average years for themes and people based on connected documents
-      this.calculateAverageYears();
+    this.nodes = nodes.map(node => ({
+      ...node,
+      x: centerX + (Math.random() - 0.5) * 300,
+      y: centerY + (Math.random() - 0.5) * 300,
+      vx: 0,
+      vy: 0
+    }));
 
-      console.log('Loaded data:', {
-        nodes: this.nodes.length,
-        edges: this.edges.length,
-        sampleEdge: this.edges[0]
-      });
+    this.edges = [...edges];
 
-      return { nodes, edges };
-    } catch (error) {
-      console.error('Error loading data:', error);
-      throw error;
+    // Document → theme/person lookups for query and facet filters
+    this.documentLinks = buildDocumentLinks(nodes, edges, precomputed.getText);
+
+    // Neighbour ids of every node, so highlighting a selection needn't scan the edges
+    this.adjacency = precomputed.adjacency || this.collectAdjacency();
+
+    // Calculate average years for themes and people based on connected documents
+    // (the worker has already written avgYear onto the node properties)
+    if (precomputed.documentYears) {
+      this.documentYears = precomputed.documentYears;
+    } else {
+      this.calculateAverageYears();
+      this.collectDocumentYears();
     }
+
+    console.log('Loaded data:', {
+      nodes: this.nodes.length,
+      edges: this.edges.length,
+      sampleEdge: this.edges[0]
+    });
   }
 
   calculateAverageYears() {
@@ -218,9 +268,10 @@ export class KnowledgeGraph {
     });
 
     // Accumulate years from connected documents
+    const nodesById = new Map(this.nodes.map(n => [n.id, n]));
     this.edges.forEach(edge => {
-      const sourceNode = this.nodes.find(n => n.id === edge.source);
-      const targetNode = this.nodes.find(n => n.id === edge.target);
+      const sourceNode = nodesById.get(edge.source);
+      const targetNode = nodesById.get(edge.target);
 
       // If edge connects a document to a theme/person, use document's year
       if (sourceNode?.type === 'document' && sourceNode.properties?.year) {
@@ -247,6 +298,45 @@ export class KnowledgeGraph {
     });
   }
 
+  collectDocumentYears() {
+    // Years of every document connected to each non-document node,
+    // so themes and people can be range-filtered through their documents
+    const nodesById = new Map(this.originalNodes.map(n => [n.id, n]));
+    this.documentYears = new Map();
+
+    this.originalEdges.forEach(edge => {
+      const sourceNode = nodesById.get(typeof edge.source === 'object' ? edge.source.id : edge.source);
+      const targetNode = nodesById.get(typeof edge.target === 'object' ? edge.target.id : edge.target);
+
+      [[sourceNode, targetNode], [targetNode, sourceNode]].forEach(([doc, other]) => {
+        if (doc?.type !== 'document' || !doc.properties?.year || !other || other.type === 'document') return;
+        if (!this.documentYears.has(other.id)) this.documentYears.set(other.id, []);
+        this.documentYears.get(other.id).push(doc.properties.year);
+      });
+    });
+  }
+
+  collectAdjacency() {
+    const adjacency = new Map(this.originalNodes.map(n => [n.id, []]));
+
+    this.originalEdges.forEach(edge => {
+      const sourceId = typeof edge.source === 'object' ? edge.source.id : edge.source;
+      const targetId = typeof edge.target === 'object' ? edge.target.id : edge.target;
+      if (!adjacency.has(sourceId) || !adjacency.has(targetId)) return;
+
+      adjacency.get(sourceId).push(targetId);
+      adjacency.get(targetId).push(sourceId);
+    });
+
+    return adjacency;
+  }
+
+  isYearInRange(year) {
+    const range = this.filters.yearRange;
+    if (!range || year == null) return true;
+    return year >= range[0] && year <= range[1];
+  }
+
   getNodeColor(node) {
     return this.colorScheme[node.type] || '#999';
   }
@@ -259,18 +349,23 @@ export class KnowledgeGraph {
   render() {
     console.log('Rendering graph with', this.nodes.length, 'nodes and', this.edges.length, 'edges');
 
+    // Elements not on screen before this render fade in (see .entering in main.css)
+    const previousNodeIds = this.renderedNodeIds || new Set();
+    const previousEdgeIds = this.renderedEdgeIds || new Set();
+
     // Render links
+    const nodesById = new Map(this.nodes.map(n => [n.id, n]));
     const link = this.linkGroup
       .selectAll('line')
-      .data(this.edges)
+      .data(this.edges, d => d.id)
       .join('line')
-      .attr('class', 'link')
+      .attr('class', d => previousEdgeIds.has(d.id) ? 'link' : 'link entering')
       .attr('stroke-width', d => Math.max(Math.sqrt(d.weight || 1) * this.displaySettings.linkThickness, this.displaySettings.linkThickness))
       .style('opacity', this.displaySettings.linkOpacity)
       .attr('stroke', d => {
         // Match edge colors to target node type
-        const sourceNode = this.nodes.find(n => n.id === (d.source.id || d.source));
-        const targetNode = this.nodes.find(n => n.id === (d.target.id || d.target));
+        const sourceNode = nodesById.get(d.source.id || d.source);
+        const targetNode = nodesById.get(d.target.id || d.target);
 
         // Use target node color, or source if target not found
         const nodeToUse = targetNode || sourceNode;
@@ -284,9 +379,9 @@ export class KnowledgeGraph {
     // Render nodes
     const node = this.nodeGroup
       .selectAll('g.node')
-      .data(this.nodes)
+      .data(this.nodes, d => d.id)
       .join('g')
-      .attr('class', 'node')
+      .attr('class', d => previousNodeIds.has(d.id) ? 'node' : 'node entering')
       .attr('data-type', d => d.type)
       .call(this.drag());
 
@@ -339,6 +434,8 @@ export class KnowledgeGraph {
     // Store references
     this.linkElements = link;
     this.nodeElements = node;
+    this.renderedNodeIds = new Set(this.nodes.map(n => n.id));
+    this.renderedEdgeIds = new Set(this.edges.map(e => e.id));
 
     // Update label visibility
     this.updateLabelsVisibility();
@@ -427,19 +524,8 @@ export class KnowledgeGraph {
   }
 
   highlightConnections(node) {
-    // Find all connected nodes and links
-    const connectedNodeIds = new Set();
-    const connectedLinkIds = new Set();
-
-    this.edges.forEach(edge => {
-      if (edge.source.id === node.id) {
-        connectedNodeIds.add(edge.target.id);
-        connectedLinkIds.add(edge.id);
-      } else if (edge.target.id === node.id) {
-        connectedNodeIds.add(edge.source.id);
-        connectedLinkIds.add(edge.id);
-      }
-    });
+    const connectedNodeIds = new Set(this.adjacency?.get(node.id));
+    const isConnectedLink = d => d.source.id === node.id || d.target.id === node.id;
 
     // Highlight/dim nodes
     this.nodeElements
@@ -448,8 +534,8 @@ export class KnowledgeGraph {
 
     // Highlight/dim links
     this.linkElements
-      .classed('highlighted', d => connectedLinkIds.has(d.id))
-      .classed('dimmed', d => !connectedLinkIds.has(d.id));
+      .classed('highlighted', isConnectedLink)
+      .classed('dimmed', d => !isConnectedLink(d));
   }
 
   clearHighlight() {
@@ -458,8 +544,29 @@ export class KnowledgeGraph {
     this.linkElements?.classed('highlighted', false).classed('dimmed', false);
   }
 
+  documentMatchesFilters(node, options = {}) {
+    // Filter documents by year range if timeline is set
+    if (!options.ignoreYears && !this.isYearInRange(node.properties?.year)) return false;
+
+    // Advanced query and facet selections
+    if (!this.queryMatcher(node)) return false;
+    if (!options.ignoreFacets && !matchesFacets(node, this.filters.facets, this.documentLinks)) {
+      return false;
+    }
+
+    return true;
+  }
+
+  getDocumentPool() {
+    // Documents passing the timeline and query filters, before facet selections
+    return this.originalNodes.filter(node =>
+      node.type === 'document' && this.documentMatchesFilters(node, { ignoreFacets: true })
+    );
+  }
+
   applyFilters(filters) {
     this.filters = { ...this.filters, ...filters };
+    this.queryMatcher = createQueryMatcher(this.filters.query, this.documentLinks);
 
     // Store current node positions
     const nodePositions = new Map();
@@ -473,30 +580,30 @@ export class KnowledgeGraph {
     this.nodes = this.originalNodes.filter(node => {
       // Always show documents - they connect everything
       if (node.type === 'document') {
-        // Filter documents by year if timeline is set
-        if (this.filters.year && node.properties?.year) {
-          if (node.properties.year > this.filters.year) {
-            return false;
-          }
-        }
-        return true;
+        return this.documentMatchesFilters(node);
       }
 
       // Type filter for non-document nodes
       if (!this.filters.types.has(node.type)) return false;
 
-      // Year filter - for period nodes, check the decade year
-      if (this.filters.year) {
+      // Year range filter
+      const range = this.filters.yearRange;
+      if (range) {
         if (node.type === 'period') {
-          // Period nodes represent decades, keep them if their decade is <= filter year
-          if (node.properties?.year && node.properties.year > this.filters.year) {
+          // Period nodes represent decades, keep them if their decade overlaps the range
+          const decade = node.properties?.year;
+          if (decade && (decade + 9 < range[0] || decade > range[1])) {
             return false;
           }
-        } else if (node.properties?.year) {
-          // For other nodes, filter by their year property
-          if (node.properties.year > this.filters.year) {
+        } else if (node.type === 'theme' || node.type === 'person') {
+          // Themes and people are kept if any connected document falls in the range
+          const years = this.documentYears.get(node.id) || [];
+          if (!years.some(year => this.isYearInRange(year))) {
             return false;
           }
+        } else if (!this.isYearInRange(node.properties?.year)) {
+          // Events and other nodes use their own year
+          return false;
         }
       }
 
@@ -527,11 +634,79 @@ export class KnowledgeGraph {
 
     // Dispatch event
     const event = new CustomEvent('graphFiltered', {
-      detail: { nodeCount: this.nodes.length, edgeCount: this.edges.length }
+      detail: {
+        nodeCount: this.nodes.length,
+        edgeCount: this.edges.length,
+        documentCount: this.nodes.filter(n => n.type === 'document').length
+      }
     });
     document.dispatchEvent(event);
   }
 
+  // Timeline playback - steps the end of the year range forward
+  startPlayback(options = {}) {
+    this.stopPlayback();
+
+    this.playback = {
+      start: options.start ?? TIMELINE_START,
+      end: options.end ?? TIMELINE_END,
+      year: options.from ?? options.start ?? TIMELINE_START,
+      speed: options.speed || 1
+    };
+
+    this.schedulePlayback();
+    this.stepPlayback();
+  }
+
+  schedulePlayback() {
+    // Speed is measured in years per second
+    this.playbackTimer?.stop();
+    this.playbackTimer = d3.interval(() => this.stepPlayback(), 1000 / this.playback.speed);
+  }
+
+  stepPlayback() {
+    const { start, end, year } = this.playback;
+
+    this.applyFilters({ yearRange: [start, year] });
+
+    document.dispatchEvent(new CustomEvent('playbackYear', {
+      detail: { start, year }
+    }));
+
+    if (year >= end) {
+      this.stopPlayback();
+    } else {
+      this.playback.year = year + 1;
+    }
+  }
+
+  setPlaybackSpeed(speed) {
+    if (!this.playback) return;
+    this.playback.speed = speed;
+    if (this.playbackTimer) this.schedulePlayback();
+  }
+
+  stopPlayback() {
+    if (!this.playbackTimer) return;
+
+    this.playbackTimer.stop();
+    this.playbackTimer = null;
+
+    document.dispatchEvent(new CustomEvent('playbackStopped'));
+  }
+
+  isPlaying() {
+    return !!this.playbackTimer;
+  }
+
+  getTransform() {
+    return d3.zoomTransform(this.svg.node());
+  }
+
+  setTransform({ x, y, k }) {
+    this.svg.call(this.zoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
+  }
+
   zoomIn() {
     this.svg.transition().call(this.zoom.scaleBy, 1.3);
   }
@@ -542,7 +717,7 @@ export class KnowledgeGraph {
 
   zoomFit() {
     try {
-      const bounds = this.g.node().getBBox();
+      const bounds = this.getContentBounds();
       const fullWidth = this.width;
       const fullHeight = this.height;
       const width = bounds.width;
@@ -580,13 +755,16 @@ export class KnowledgeGraph {
     }
   }
 
+  getContentBounds() {
+    return this.g.node().getBBox();
+  }
+
   searchNode(query) {
-    const lowerQuery = query.toLowerCase();
-    const matches = this.originalNodes.filter(node =>
-      node.label.toLowerCase().includes(lowerQuery) ||
-      node.properties?.name?.toLowerCase().includes(lowerQuery)
-    );
-    return matches;
+    // Build the full-text index on first use
+    if (!this.searchIndex) {
+      this.searchIndex = new SearchIndex(this.originalNodes, this.originalEdges);
+    }
+    return this.searchIndex.search(query).map(result => result.node);
   }
 
   focusNode(nodeId) {
@@ -614,10 +792,13 @@ export class KnowledgeGraph {
   }
 
   reset() {
+    this.stopPlayback();
     this.clearHighlight();
     this.filters = {
       types: new Set(['theme', 'person', 'event', 'period']),
-      year: null
+      yearRange: null,
+      query: null,
+      facets: createFacetSelections()
     };
 
     // Re-center all nodes
@@ -645,6 +826,7 @@ export class KnowledgeGraph {
   }
 
   destroy() {
+    this.stopPlayback();
     this.simulation.stop();
     this.svg.selectAll('*').remove();
   }
@@ -5,6 +5,24 @@
 
 import scrollama from 'scrollama';
 import L from 'leaflet';
+import {
+  readHashState,
+  writeHashState,
+  onHashStateChange,
+  formatRange,
+  parseRange
+} from './url_state.js';
+import {
+  documentItem,
+  locationItem,
+  renderBookmarkControls
+} from './collections.js';
+import { registerServiceWorker, renderOfflineIndicator } from './offline.js';
+import { AppStore, documentSelection, matchesSelection } from './store.js';
+import { renderCompareButton, renderCompareTray } from './compare.js';
+import { ReferenceIndex, attachFootnotes } from './footnotes.js';
+import { formatContent } from './format.js';
+import { loadDocumentContent } from './content.js';
 
 const CONFIG = {
   dataPath: '/data/journey.json',
@@ -25,9 +43,17 @@ let scroller = null;
 let minYear = 1895;
 let maxYear = 1930;
 let currentYearRange = [1895, 1930];
+let activeLocation = null;
+let activeTheme = null;
+let expandedDocId = null;
+let restoringState = false;
+let referenceIndex = null;
+const appStore = new AppStore();
+const collectionStore = appStore.collections;
 
 async function init() {
   console.log('Loading journey data...');
+  renderOfflineIndicator();
 
   try {
     const response = await fetch(CONFIG.dataPath);
@@ -40,6 +66,21 @@ async function init() {
     buildUI();
     initMap();
     setupScrollTracking();
+    renderCompareTray(appStore);
+
+    // Restore state from a shared link, and on back/forward navigation
+    const state = readHashState();
+    restoreJourneyState(state);
+    onHashStateChange(restoreJourneyState);
+
+    // Follow the selection and year filter of the other views
+    if (!state.location) revealSelection(appStore.selection);
+    document.addEventListener('storeChanged', (event) => {
+      const { changed, state, local } = event.detail;
+      if (local) return;
+      if (changed.includes('selection')) revealSelection(state.selection);
+      if (changed.includes('filters')) showYearRange(state.filters.yearRange);
+    });
 
   } catch (error) {
     console.error('Error:', error);
@@ -109,8 +150,10 @@ function initMap() {
     zoomControl: true
   });
 
+  // CORS tile requests let the service worker cache real (not opaque) responses
   L.tileLayer('https://{s}.basemaps.cartocdn.com/dark_all/{z}/{x}/{y}{r}.png', {
     attribution: '&copy; OpenStreetMap &copy; CARTO',
+    crossOrigin: true,
     maxZoom: CONFIG.map.maxZoom
   }).addTo(map);
 
@@ -215,6 +258,7 @@ function buildUI() {
         <h2>${location.name}, ${location.country}</h2>
         <div class="doc-count">${location.documents.length} docs</div>
       </div>
+      <div class="bookmark-controls" data-location="${location.name}"></div>
       ${themeCloud}
       ${documentsHTML}
     `;
@@ -225,6 +269,7 @@ function buildUI() {
   // Add event listeners after DOM is ready
   setupThemeClicks();
   setupDocumentClicks();
+  setupBookmarks();
   setupTimelineSlider();
 }
 
@@ -270,9 +315,96 @@ function setupTimelineSlider() {
 
     // Filter data with 5-year window
     filterByYearRange(startYear, endYear);
+    saveJourneyState();
   });
 }
 
+function saveJourneyState(options = {}) {
+  if (restoringState) return;
+
+  const isFiltered = currentYearRange[0] !== minYear || currentYearRange[1] !== maxYear;
+
+  writeHashState({
+    location: activeLocation,
+    years: isFiltered ? formatRange(currentYearRange[0], currentYearRange[1]) : null,
+    theme: activeTheme,
+    doc: expandedDocId
+  }, options);
+}
+
+function restoreJourneyState(state) {
+  restoringState = true;
+
+  try {
+    // Year window
+    const range = parseRange(state.years);
+    const slider = document.getElementById('year-slider');
+    if (range) {
+      slider.value = range[1];
+      document.getElementById('timeline-year').textContent = `${range[0]} - ${range[1]}`;
+      currentYearRange = range;
+      filterByYearRange(range[0], range[1]);
+    } else if (currentYearRange[0] !== minYear || currentYearRange[1] !== maxYear) {
+      slider.value = maxYear;
+      document.getElementById('timeline-year').textContent = maxYear;
+      currentYearRange = [minYear, maxYear];
+      locationGroups = JSON.parse(JSON.stringify(allLocationGroups));
+      updateFilteredUI(journeyData.length);
+    }
+
+    // Location, theme and open document
+    activeLocation = state.location || null;
+    activeTheme = null;
+    expandedDocId = null;
+
+    const section = activeLocation &&
+      document.querySelector(`.location-section[data-location="${CSS.escape(activeLocation)}"]`);
+    if (section) {
+      section.scrollIntoView({ block: 'start' });
+
+      const tag = state.theme &&
+        section.querySelector(`.theme-tag[data-theme="${CSS.escape(state.theme)}"]`);
+      if (tag && !tag.classList.contains('active')) tag.click();
+
+      const card = state.doc &&
+        section.querySelector(`.document-card[data-doc-id="${CSS.escape(state.doc)}"]`);
+      if (card && !card.classList.contains('expanded')) {
+        card.click();
+        card.scrollIntoView({ block: 'center' });
+      }
+    }
+  } finally {
+    restoringState = false;
+  }
+}
+
+/**
+ * Open the location of a document or location selected in another view
+ */
+function revealSelection(selection) {
+  if (selection?.kind === 'location') {
+    restoreJourneyState({ location: selection.key });
+  } else if (selection?.kind === 'document') {
+    const doc = journeyData.find(d => matchesSelection(d, selection));
+    if (!doc) return;
+    // The whole journey is shown so the document's card is there to open
+    restoreJourneyState({ location: doc.location, doc: doc.id });
+  } else {
+    return;
+  }
+  saveJourneyState();
+}
+
+function showYearRange(yearRange) {
+  restoreJourneyState({
+    years: yearRange ? formatRange(yearRange[0], yearRange[1]) : null,
+    location: activeLocation,
+    theme: activeTheme,
+    doc: expandedDocId
+  });
+  saveJourneyState();
+}
+
 function filterByYearRange(startYear, endYear) {
   // Filter documents by year range
   const filteredDocs = journeyData.filter(doc =>
@@ -351,6 +483,7 @@ function updateFilteredUI(docCount) {
         <h2>${location.name}, ${location.country}</h2>
         <div class="doc-count">${location.documents.length} docs</div>
       </div>
+      <div class="bookmark-controls" data-location="${location.name}"></div>
       ${themeCloud}
       ${documentsHTML}
     `;
@@ -361,6 +494,7 @@ function updateFilteredUI(docCount) {
   // Re-setup event listeners
   setupThemeClicks();
   setupDocumentClicks();
+  setupBookmarks();
 
   // Update markers on map
   updateMapMarkers();
@@ -423,8 +557,10 @@ function renderDocumentCard(doc) {
         ${doc.themes.length > 0 ? `<span>🏷️ ${doc.themes[0]}</span>` : ''}
       </div>
       <div class="doc-summary">${summary}</div>
+      <div class="bookmark-controls" data-doc-id="${doc.id}"></div>
+      <div class="compare-controls"></div>
       <div class="expand-btn">Read full document →</div>
-      <div class="doc-preview">${doc.fullContent || doc.contentPreview}</div>
+      <div class="doc-preview">${formatContent(doc.fullContent || doc.contentPreview)}</div>
     </div>
   `;
 }
@@ -479,6 +615,10 @@ function setupThemeClicks() {
         t.classList.remove('active');
       });
 
+      activeLocation = location;
+      activeTheme = wasActive ? null : theme;
+      saveJourneyState({ push: true });
+
       if (wasActive) {
         // Hide documents
         docsContainer.classList.remove('visible');
@@ -510,13 +650,58 @@ function setupDocumentClicks() {
       const btn = card.querySelector('.expand-btn');
       if (card.classList.contains('expanded')) {
         btn.textContent = '↑ Collapse';
+        setupCardControls(card);
+        expandedDocId = card.getAttribute('data-doc-id');
+        activeLocation = card.closest('.location-section').getAttribute('data-location');
+
+        const doc = !restoringState && journeyData.find(d => d.id === expandedDocId);
+        if (doc) appStore.select(documentSelection(doc));
       } else {
         btn.textContent = 'Read full document →';
+        if (expandedDocId === card.getAttribute('data-doc-id')) expandedDocId = null;
       }
+      saveJourneyState({ push: true });
     });
   });
 }
 
+function setupBookmarks() {
+  document.querySelectorAll('.location-section > .bookmark-controls').forEach(container => {
+    const location = locationGroups[container.dataset.location];
+    if (location) renderBookmarkControls(container, locationItem(location), collectionStore);
+  });
+}
+
+// Document cards get their controls when first expanded - there can be thousands of cards
+function setupCardControls(card) {
+  const container = card.querySelector('.bookmark-controls');
+  if (container.hasChildNodes()) return;
+
+  const doc = journeyData.find(d => d.id === card.getAttribute('data-doc-id'));
+  if (!doc) return;
+
+  renderBookmarkControls(container, documentItem(doc), collectionStore);
+
+  const compareContainer = card.querySelector('.compare-controls');
+  renderCompareButton(compareContainer, documentItem(doc), appStore);
+
+  // Starring and comparing shouldn't expand or collapse the card
+  container.addEventListener('click', (e) => e.stopPropagation());
+  compareContainer.addEventListener('click', (e) => e.stopPropagation());
+
+  // Footnote pop-overs, and "Vide …" references that open the referenced document
+  if (!referenceIndex) referenceIndex = new ReferenceIndex(journeyData);
+  loadDocumentContent(doc)
+    .catch(() => ({ footnotes: doc.footnotes || null }))
+    .then(({ footnotes }) => attachFootnotes(card.querySelector('.doc-preview'), footnotes, {
+      references: referenceIndex,
+      onOpenDocument: (referenced) => {
+        restoreJourneyState({ location: referenced.location, doc: referenced.id });
+        saveJourneyState({ push: true });
+      }
+    }));
+}
+
 function setupScrollTracking() {
   scroller = scrollama();
 
@@ -538,6 +723,11 @@ function handleLocationEnter(response) {
   const locationName = element.getAttribute('data-location');
   const location = locationGroups[locationName];
 
+  if (activeLocation !== locationName) {
+    activeLocation = locationName;
+    saveJourneyState();
+  }
+
   document.querySelectorAll('.location-section').forEach(s => {
     s.classList.remove('active');
   });
@@ -621,6 +811,8 @@ style.textContent = `
 `;
 document.head.appendChild(style);
 
+registerServiceWorker();
+
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
 } else {
@@ -3,6 +3,49 @@
  */
 
 import { RadialChart } from './radial.js';
+import { KnowledgeGraph, TIMELINE_START, TIMELINE_END } from './graph.js';
+import { CanvasKnowledgeGraph } from './canvas_graph.js';
+import { DocumentTimeline } from './timeline.js';
+import { ConcordanceView } from './concordance.js';
+import { TermFrequencyChart } from './ngrams.js';
+import { ThemeCooccurrenceView } from './cooccurrence.js';
+import { ThemeStreamgraph } from './streamgraph.js';
+import { AppStore, VIEWS, documentSelection, entitySelection, matchesSelection } from './store.js';
+import { renderCompareButton, renderCompareTray } from './compare.js';
+import { ReferenceIndex, attachFootnotes, closeFootnotePopover } from './footnotes.js';
+import { EntityMatcher, highlightEntities, renderEntityLegend } from './entities.js';
+import { loadCorpus } from './data_loader.js';
+import { exportGraph, downloadFile } from './export.js';
+import { CITATION_STYLES, formatCitations, renderCitationBox } from './citation.js';
+import { formatContent, formatFootnotes } from './format.js';
+import { getCachedText, loadDocumentContent, loadDocumentTexts } from './content.js';
+import { registerServiceWorker, renderOfflineIndicator, downloadVolume, isVolumeDownloaded } from './offline.js';
+import { AnnotationStore, attachAnnotator, getDocumentKey, renderNotesPanel } from './annotations.js';
+import {
+  documentItem,
+  entityItem,
+  renderBookmarkControls,
+  renderCollectionsPanel
+} from './collections.js';
+import { CorrespondenceGraph, buildCorrespondenceData, renderLetterTimeline } from './correspondence.js';
+import { SearchIndex, escapeHtml } from './search.js';
+import { parseQuery, hasTextClauses } from './query.js';
+import {
+  createFacetSelections,
+  computeFacetCounts,
+  matchesFacets,
+  renderFacetPanel
+} from './facets.js';
+import {
+  readHashState,
+  writeHashState,
+  onHashStateChange,
+  parseList,
+  formatRange,
+  parseRange,
+  formatTransform,
+  parseTransform
+} from './url_state.js';
 
 // Configuration
 const CONFIG = {
@@ -11,33 +54,132 @@ const CONFIG = {
     nodes: 'nodes.json',
     edges: 'edges.json',
     metadata: 'metadata.json'
-  }
+  },
+  // Above this many nodes the graph is drawn to a canvas instead of SVG
+  // (override with ?renderer=svg or ?renderer=canvas)
+  canvasNodeThreshold: 2000
 };
 
 // Global state
 let chart = null;
+let graph = null;
+let correspondence = null;
 let metadata = null;
+let searchIndex = null;
+let nodesById = new Map();
+let referenceIndex = null;
+let entityMatcher = null;
+const annotationStore = new AnnotationStore();
+const appStore = new AppStore({ shell: true });
+const collectionStore = appStore.collections;
+let timeline = null;
+let concordance = null;
+let trends = null;
+let cooccurrence = null;
+let streams = null;
+let activeView = 'themes';
+const measuredViews = new Set(['themes']);
+let currentQuery = parseQuery('');
+let facetSelections = createFacetSelections();
+
+// Shareable state (serialized to the URL hash)
+const DEFAULT_TYPES = ['theme', 'person', 'event', 'period'];
+// Views that are pages of their own, shown in an iframe
+const EMBEDDED_VIEWS = ['tree', 'journey'];
+// Citation source option for the compare tray; the others are collection ids
+const CITATION_SOURCE_COMPARE = 'compare';
+let openNodeId = null;
+let openArcKey = null;
+let restoringState = false;
+// Bumped to cancel full-text loads that a newer search or query supersedes
+let searchToken = 0;
+let queryTextsToken = 0;
 
 // Initialize application
 async function init() {
   console.log('Initializing Gandhi Knowledge Graph...');
+  renderOfflineIndicator();
 
   try {
     // Initialize radial chart
     chart = new RadialChart('#graph-container');
 
-    // Load data
-    await chart.loadData(
-      CONFIG.dataPath + CONFIG.files.nodes,
-      CONFIG.dataPath + CONFIG.files.edges,
-      CONFIG.dataPath + CONFIG.files.metadata
-    );
+    // Load and index data in a worker, reporting progress on the loading screen
+    const data = await loadCorpus({
+      nodes: CONFIG.dataPath + CONFIG.files.nodes,
+      edges: CONFIG.dataPath + CONFIG.files.edges,
+      metadata: CONFIG.dataPath + CONFIG.files.metadata
+    }, { onProgress: updateLoadingProgress });
+    metadata = data.metadata;
+    chart.setData(data.nodes, data.edges, metadata, data.index);
+
+    // Initialize force-directed graph over the same data
+    const Graph = useCanvasRenderer(chart.nodes.length) ? CanvasKnowledgeGraph : KnowledgeGraph;
+    graph = new Graph('#network-view', {
+      colorScheme: metadata.colorScheme,
+      sizeMapping: metadata.sizeMapping
+    });
+    // Free-text query terms see full texts once a search or query has loaded them
+    graph.setData(chart.nodes, chart.edges, { ...data.index, getText: getCachedText });
+
+    // Correspondent network: who Gandhi wrote to and who those letters mention
+    correspondence = new CorrespondenceGraph('#correspondence-view', {
+      colorScheme: metadata.colorScheme,
+      sizeMapping: metadata.sizeMapping
+    });
+    const correspondenceData = buildCorrespondenceData(chart.nodes, chart.edges);
+    correspondence.setData(correspondenceData.nodes, correspondenceData.edges);
+
+    nodesById = new Map(chart.nodes.map(n => [n.id, n]));
+    referenceIndex = new ReferenceIndex(chart.documents);
+    entityMatcher = new EntityMatcher(chart.nodes);
+
+    // Documents per year, following the graph's query and facet filters
+    timeline = new DocumentTimeline('#timeline-view');
+
+    // Keyword-in-context lines over the filtered documents' full text
+    concordance = new ConcordanceView('#concordance-view', {
+      onOpenDocument: (doc) => showNodeDetails(doc)
+    });
+
+    // Term frequencies per year over the same documents
+    trends = new TermFrequencyChart('#trends-view', {
+      onOpenDocument: (doc) => showNodeDetails(doc)
+    });
+
+    // Themes discussed in the same documents
+    cooccurrence = new ThemeCooccurrenceView('#cooccurrence-view', {
+      documentThemes: graph.documentLinks.themes,
+      relations: chart.edges.filter(edge => edge.type === 'RELATES_TO'),
+      onOpenDocument: (doc) => showNodeDetails(doc)
+    });
+
+    // The themes of the radial chart, year by year
+    streams = new ThemeStreamgraph('#streams-view', {
+      themeHierarchy: metadata.themeHierarchy,
+      colorScheme: metadata.colorScheme,
+      documentThemes: graph.documentLinks.themes,
+      onOpenDocument: (doc) => showNodeDetails(doc)
+    });
+
+    // Search index over titles, people, themes and previews, prebuilt by the worker
+    searchIndex = new SearchIndex(chart.nodes, chart.edges, data.index.search);
+    graph.searchIndex = searchIndex;
 
     // Render radial chart
     chart.render();
 
     // Update UI
     updateStats();
+    updateTimelineDisplay(TIMELINE_START, TIMELINE_END);
+    refreshFacets();
+    renderNotesPanel(document.getElementById('notes-panel'), annotationStore, { onOpen: openAnnotation });
+    renderCollectionsPanel(document.getElementById('collections-panel'), collectionStore, {
+      onOpenItem: openCollectionItem
+    });
+    renderVolumeOptions();
+    renderCitationSources();
+    renderCompareTray(appStore);
 
     // Setup event listeners
     setupEventListeners();
@@ -45,11 +187,12 @@ async function init() {
     // Hide loading screen
     hideLoading();
 
-    // Let simulation run for a bit, then fit to view
-    setTimeout(() => {
-      console.log('Fitting graph to view...');
-      graph.zoomFit();
-    }, 1500);
+    // Restore state from a shared link, and on back/forward navigation
+    restoreState(readHashState());
+    onHashStateChange(restoreState);
+
+    // The tree and journey pages, opened on their own, send their selection along
+    if (!openNodeId && !openArcKey) revealSelection(appStore.selection);
 
     console.log('✓ Application initialized successfully');
 
@@ -59,9 +202,10 @@ async function init() {
   }
 }
 
-async function loadMetadata() {
-  const response = await fetch(CONFIG.dataPath + CONFIG.files.metadata);
-  return await response.json();
+function useCanvasRenderer(nodeCount) {
+  const renderer = new URLSearchParams(window.location.search).get('renderer');
+  if (renderer === 'canvas' || renderer === 'svg') return renderer === 'canvas';
+  return nodeCount > CONFIG.canvasNodeThreshold;
 }
 
 function hideLoading() {
@@ -72,46 +216,387 @@ function hideLoading() {
   app.classList.remove('hidden');
 }
 
+function updateLoadingProgress({ progress, message }) {
+  const loading = document.getElementById('loading-screen');
+  loading.querySelector('.loading-text').textContent = message;
+  loading.querySelector('#loading-progress-bar').style.width = `${Math.round(progress * 100)}%`;
+}
+
 function showError(message) {
   const loading = document.getElementById('loading-screen');
   loading.querySelector('.loading-text').textContent = message;
   loading.querySelector('.loading-spinner').style.display = 'none';
+  loading.querySelector('.loading-progress').style.display = 'none';
+}
+
+function getActiveViewInstance() {
+  return { themes: chart, graph, correspondents: correspondence }[activeView];
 }
 
 function updateStats() {
-  document.getElementById('node-count').textContent = chart.nodes.length.toLocaleString();
-  document.getElementById('edge-count').textContent = chart.edges.length.toLocaleString();
+  // The timeline and embedded pages keep the stats of the graph
+  const view = getActiveViewInstance() || graph;
+  const documentCount = graph.nodes.filter(n => n.type === 'document').length;
+  document.getElementById('doc-count').textContent = documentCount.toLocaleString();
+  document.getElementById('node-count').textContent = view.nodes.length.toLocaleString();
+  document.getElementById('edge-count').textContent = view.edges.length.toLocaleString();
+}
+
+function switchView(view, options = {}) {
+  activeView = view;
+
+  document.querySelectorAll('.view-switcher button').forEach(button => {
+    button.classList.toggle('active', button.dataset.view === view);
+  });
+  document.getElementById('graph-svg').classList.toggle('hidden', view !== 'themes');
+  document.getElementById('network-view').classList.toggle('hidden', view !== 'graph');
+  document.getElementById('correspondence-view').classList.toggle('hidden', view !== 'correspondents');
+  document.getElementById('timeline-view').classList.toggle('hidden', view !== 'timeline');
+  document.getElementById('concordance-view').classList.toggle('hidden', view !== 'concordance');
+  document.getElementById('trends-view').classList.toggle('hidden', view !== 'trends');
+  document.querySelector('.radial-toolbar').classList.toggle('hidden', view !== 'themes');
+  document.getElementById('cooccurrence-view').classList.toggle('hidden', view !== 'cooccurrence');
+  document.getElementById('streams-view').classList.toggle('hidden', view !== 'streams');
+  document.getElementById('tree-view').classList.toggle('hidden', view !== 'tree');
+  document.getElementById('journey-view').classList.toggle('hidden', view !== 'journey');
+
+  // The tree and map journey are their own pages, loaded into the shell on first use.
+  // They bring their own sidebars, so the shell's is hidden while they are shown.
+  const embedded = EMBEDDED_VIEWS.includes(view);
+  document.querySelector('.main-content').classList.toggle('embedded-active', embedded);
+  if (embedded) {
+    const container = document.getElementById(`${view}-view`);
+    if (!container.querySelector('iframe')) {
+      container.innerHTML = `<iframe src="${container.dataset.src}" title="${view}"></iframe>`;
+    }
+  }
+
+  // Only the chart and force-directed views zoom
+  document.querySelector('.graph-controls').classList.toggle('hidden', !getActiveViewInstance());
+
+  if (view === 'timeline') {
+    timeline.resize();
+    updateTimeline();
+  }
+  if (view === 'concordance') updateConcordance();
+  if (view === 'trends') {
+    trends.resize();
+    updateTrends();
+  }
+  if (view === 'cooccurrence') {
+    cooccurrence.updateDimensions();
+    updateCooccurrence();
+  }
+  if (view === 'streams') {
+    streams.updateDimensions();
+    updateStreams();
+  }
+
+  appStore.update({ view });
+
+  // Force-directed views are measured and rendered the first time they become visible
+  if (getActiveViewInstance() && !measuredViews.has(view)) {
+    measuredViews.add(view);
+    const network = getActiveViewInstance();
+    network.resize();
+    network.applyFilters({});
+
+    // Let simulation run for a bit, then fit to view
+    if (options.fit !== false) {
+      setTimeout(() => {
+        console.log('Fitting graph to view...');
+        network.zoomFit();
+      }, 1500);
+    }
+  }
+
+  updateStats();
+  saveState({ push: true });
+}
+
+function updateTimeline() {
+  // The timeline shows every year, so only the query, type and facet filters apply
+  const documents = graph.originalNodes.filter(node =>
+    node.type === 'document' && graph.documentMatchesFilters(node, { ignoreYears: true })
+  );
+  timeline.setDocuments(documents, graph.filters.yearRange);
+}
+
+function updateConcordance() {
+  concordance.setDocuments(graph.originalNodes.filter(node =>
+    node.type === 'document' && graph.documentMatchesFilters(node)
+  ));
+}
+
+function updateCooccurrence() {
+  cooccurrence.setDocuments(graph.originalNodes.filter(node =>
+    node.type === 'document' && graph.documentMatchesFilters(node)
+  ));
+}
+
+function updateStreams() {
+  // Every year is drawn; the year range only dims the rest
+  streams.setDocuments(graph.originalNodes.filter(node =>
+    node.type === 'document' && graph.documentMatchesFilters(node, { ignoreYears: true })
+  ), graph.filters.yearRange);
+}
+
+function updateTrends() {
+  // Like the timeline, trends span every year
+  trends.setDocuments(graph.originalNodes.filter(node =>
+    node.type === 'document' && graph.documentMatchesFilters(node, { ignoreYears: true })
+  ));
+}
+
+/**
+ * Show a document or entity selected in another view (tree, map journey)
+ */
+function revealSelection(selection) {
+  if (!selection || EMBEDDED_VIEWS.includes(activeView)) return;
+
+  const node = selection.kind === 'document'
+    ? chart.documents.find(doc => matchesSelection(doc, selection))
+    : nodesById.get(selection.key);
+  if (!node) return;
+
+  showNodeDetails(node, { select: false });
+  if (activeView === 'graph') graph.focusNode(node.id);
+}
+
+function applyDocumentFilters() {
+  graph.applyFilters({ query: currentQuery, facets: facetSelections });
+  refreshFacets();
+  saveState();
+  loadQueryTexts();
+}
+
+/**
+ * Free-text query terms match previews until the full texts are loaded, on the first
+ * query that has them; the filters are then applied again
+ */
+async function loadQueryTexts() {
+  const token = ++queryTextsToken;
+  if (!hasTextClauses(currentQuery)) return;
+
+  const status = document.getElementById('query-status');
+  await loadDocumentTexts(chart.documents, {
+    onProgress: (progress) => {
+      if (progress < 1) status.textContent = `Loading full text… ${Math.round(100 * progress)}%`;
+    },
+    isCancelled: () => token !== queryTextsToken
+  });
+  if (token !== queryTextsToken) return;
+
+  graph.applyFilters({ query: currentQuery, facets: facetSelections });
+  refreshFacets();
+}
+
+function refreshFacets() {
+  const pool = graph.getDocumentPool();
+  const counts = computeFacetCounts(pool, facetSelections, graph.documentLinks);
+  const matching = pool.filter(doc => matchesFacets(doc, facetSelections, graph.documentLinks));
+
+  renderFacetPanel(
+    document.getElementById('facet-panel'),
+    counts,
+    facetSelections,
+    nodesById,
+    () => applyDocumentFilters()
+  );
+
+  document.getElementById('query-status').textContent =
+    `${matching.length.toLocaleString()} of ${chart.documents.length.toLocaleString()} documents match`;
+}
+
+function saveState(options = {}) {
+  if (restoringState) return;
+
+  const types = [...graph.filters.types];
+  const range = graph.filters.yearRange;
+  const view = getActiveViewInstance();
+
+  writeHashState({
+    view: activeView === 'themes' ? null : activeView,
+    layout: chart.layout === 'cluster' ? null : chart.layout,
+    docs: chart.documentRing,
+    node: openNodeId,
+    arc: openArcKey,
+    types: types.length === DEFAULT_TYPES.length ? null : (types.length ? types : 'none'),
+    years: range ? formatRange(range[0], range[1]) : null,
+    q: currentQuery.input,
+    ...Object.fromEntries(Object.entries(facetSelections).map(([key, values]) => [key, [...values]])),
+    search: document.getElementById('search-input').value.trim(),
+    kwic: concordance.term || null,
+    terms: trends.terms,
+    zoom: view ? formatTransform(view.getTransform()) : null
+  }, options);
+}
+
+function restoreState(state) {
+  restoringState = true;
+
+  try {
+    // Filters
+    const types = new Set(state.types ? parseList(state.types) : DEFAULT_TYPES);
+    document.querySelectorAll('#type-filters input[type="checkbox"]').forEach(cb => {
+      cb.checked = types.has(cb.value);
+    });
+
+    const range = parseRange(state.years);
+    const timelineStart = document.getElementById('timeline-start');
+    const timelineEnd = document.getElementById('timeline-end');
+    timelineStart.value = range ? range[0] : timelineStart.min;
+    timelineEnd.value = range ? range[1] : timelineEnd.max;
+    updateTimelineDisplay(parseInt(timelineStart.value), parseInt(timelineEnd.value));
+
+    document.getElementById('query-input').value = state.q || '';
+    currentQuery = parseQuery(state.q || '');
+
+    facetSelections = createFacetSelections();
+    Object.keys(facetSelections).forEach(key => {
+      parseList(state[key]).forEach(value => facetSelections[key].add(value));
+    });
+
+    graph.applyFilters({ types, yearRange: range, query: currentQuery, facets: facetSelections });
+    correspondence.applyFilters({ yearRange: range });
+    refreshFacets();
+    loadQueryTexts();
+
+    concordance.setTerm(state.kwic);
+    trends.setTerms(parseList(state.terms));
+
+    // View, theme layout and zoom
+    chart.setLayout(state.layout);
+    chart.setDocumentRing(state.docs);
+    const transform = parseTransform(state.zoom);
+    const view = VIEWS.includes(state.view) ? state.view : 'themes';
+    switchView(view, { fit: !transform });
+    if (transform) {
+      getActiveViewInstance()?.setTransform(transform);
+    }
+
+    const search = state.search || '';
+    document.getElementById('search-input').value = search;
+    if (search.length >= 2) {
+      runSearch(search);
+    } else {
+      searchToken++;
+      document.getElementById('search-results').classList.add('hidden');
+    }
+
+    // Open node, correspondent or theme arc
+    const node = state.node && nodesById.get(state.node);
+    const correspondent = state.node && correspondence.originalNodes.find(n => n.id === state.node);
+    if (node) {
+      showNodeDetails(node);
+      if (activeView === 'graph') graph.highlightConnections(node);
+    } else if (correspondent) {
+      showCorrespondentDetails(correspondent);
+      if (activeView === 'correspondents') correspondence.highlightConnections(correspondent);
+    } else if (state.arc && chart.selectArc(state.arc)) {
+      // selectArc dispatches arcSelected, which opens the panel
+    } else {
+      closePanel();
+      chart.reset();
+      graph.clearHighlight();
+      correspondence.clearHighlight();
+    }
+  } finally {
+    restoringState = false;
+  }
 }
 
 function setupEventListeners() {
   // Arc selection
   document.addEventListener('arcSelected', (event) => {
     const arcData = event.detail.data;
-    showArcDetails(arcData);
+    // Leaves of the document ring open like document nodes
+    if (arcData.document) {
+      showNodeDetails(arcData.document);
+    } else {
+      showArcDetails(arcData);
+    }
+  });
+
+  // Node selection in the force-directed graphs
+  document.addEventListener('nodeSelected', (event) => {
+    const node = event.detail.node;
+    if (nodesById.has(node.id)) {
+      showNodeDetails(node);
+    } else {
+      showCorrespondentDetails(node);
+    }
   });
 
   // Graph filtered
   document.addEventListener('graphFiltered', (event) => {
     updateStats();
+    if (activeView === 'timeline') updateTimeline();
+    if (activeView === 'concordance') updateConcordance();
+    if (activeView === 'trends') updateTrends();
+    if (activeView === 'cooccurrence') updateCooccurrence();
+    if (activeView === 'streams') updateStreams();
+    appStore.setFilters({ yearRange: graph.filters.yearRange });
+  });
+
+  // Selections and view requests from the embedded tree and map journey
+  document.addEventListener('storeChanged', (event) => {
+    const { changed, state, local } = event.detail;
+    if (local) return;
+
+    if (changed.includes('view') && VIEWS.includes(state.view) && state.view !== activeView) {
+      switchView(state.view);
+    }
+    if (changed.includes('selection') || changed.includes('view')) {
+      revealSelection(state.selection);
+    }
+  });
+
+  // View switcher
+  document.querySelectorAll('.view-switcher button').forEach(button => {
+    button.addEventListener('click', () => switchView(button.dataset.view));
+  });
+
+  // Advanced query
+  const queryInput = document.getElementById('query-input');
+  let queryTimeout;
+  queryInput.addEventListener('input', (e) => {
+    clearTimeout(queryTimeout);
+    queryTimeout = setTimeout(() => {
+      currentQuery = parseQuery(e.target.value);
+      applyDocumentFilters();
+    }, 300);
   });
 
   // Search
   const searchInput = document.getElementById('search-input');
   const searchResults = document.getElementById('search-results');
 
+  let searchTimeout;
   searchInput.addEventListener('input', (e) => {
     const query = e.target.value.trim();
+    clearTimeout(searchTimeout);
 
     if (query.length < 2) {
       searchResults.classList.add('hidden');
       return;
     }
 
-    const matches = graph.searchNode(query);
-    displaySearchResults(matches.slice(0, 10));
+    // Debounce - full-text search runs over every document
+    searchTimeout = setTimeout(() => {
+      runSearch(query);
+      saveState();
+    }, 200);
+  });
+
+  document.getElementById('search-full-text').addEventListener('change', () => {
+    const query = searchInput.value.trim();
+    if (query.length >= 2) runSearch(query);
+    searchInput.focus();
   });
 
   searchInput.addEventListener('blur', () => {
+    searchToken++;
     // Delay to allow click on results
     setTimeout(() => {
       searchResults.classList.add('hidden');
@@ -119,7 +604,7 @@ function setupEventListeners() {
   });
 
   // Type filters
-  const typeFilters = document.querySelectorAll('.filter-group input[type="checkbox"]');
+  const typeFilters = document.querySelectorAll('#type-filters input[type="checkbox"]');
   typeFilters.forEach(checkbox => {
     checkbox.addEventListener('change', () => {
       const activeTypes = new Set();
@@ -128,46 +613,191 @@ function setupEventListeners() {
       });
 
       graph.applyFilters({ types: activeTypes });
+      refreshFacets();
+      saveState();
     });
   });
 
-  // Timeline slider
-  const timelineSlider = document.getElementById('timeline-slider');
-  const currentYearDisplay = document.getElementById('current-year');
+  // Timeline range slider
+  const timelineStart = document.getElementById('timeline-start');
+  const timelineEnd = document.getElementById('timeline-end');
+
+  const onTimelineInput = (e) => {
+    let start = parseInt(timelineStart.value);
+    let end = parseInt(timelineEnd.value);
+
+    // Keep the handles from crossing
+    if (start > end) {
+      if (e.target === timelineStart) {
+        start = end;
+        timelineStart.value = start;
+      } else {
+        end = start;
+        timelineEnd.value = end;
+      }
+    }
 
-  timelineSlider.addEventListener('input', (e) => {
-    const year = parseInt(e.target.value);
-    currentYearDisplay.textContent = year;
+    updateTimelineDisplay(start, end);
 
-    // Apply year filter
-    graph.applyFilters({ year: year });
+    // Apply year range filter (no range when the full span is selected)
+    const isFullSpan = start === parseInt(timelineStart.min) && end === parseInt(timelineEnd.max);
+    graph.applyFilters({ yearRange: isFullSpan ? null : [start, end] });
+    correspondence.applyFilters({ yearRange: isFullSpan ? null : [start, end] });
+    refreshFacets();
+    saveState();
+  };
+
+  timelineStart.addEventListener('input', (e) => {
+    graph.stopPlayback();
+    onTimelineInput(e);
+  });
+  timelineEnd.addEventListener('input', (e) => {
+    graph.stopPlayback();
+    onTimelineInput(e);
+  });
+
+  // Brushing the timeline moves the timeline range slider
+  document.addEventListener('timelineBrushed', (event) => {
+    const [start, end] = event.detail.yearRange || [parseInt(timelineStart.min), parseInt(timelineEnd.max)];
+    graph.stopPlayback();
+    timelineStart.value = start;
+    timelineEnd.value = end;
+    onTimelineInput({ target: timelineEnd });
   });
 
+  // Timeline playback
+  const playbackToggle = document.getElementById('playback-toggle');
+  const playbackSpeed = document.getElementById('playback-speed');
+
+  playbackToggle.addEventListener('click', () => {
+    if (graph.isPlaying()) {
+      graph.stopPlayback();
+      return;
+    }
+
+    switchView('graph');
+
+    // Resume from the end handle, or start over once the end of the timeline is reached
+    const start = parseInt(timelineStart.value);
+    const end = parseInt(timelineEnd.value);
+    const max = parseInt(timelineEnd.max);
+
+    graph.startPlayback({
+      start,
+      end: max,
+      from: end < max ? end + 1 : start,
+      speed: parseFloat(playbackSpeed.value)
+    });
+
+    playbackToggle.textContent = '❚❚ Pause';
+    playbackToggle.classList.add('playing');
+  });
+
+  playbackSpeed.addEventListener('change', () => {
+    graph.setPlaybackSpeed(parseFloat(playbackSpeed.value));
+  });
+
+  document.addEventListener('playbackYear', (event) => {
+    const { start, year } = event.detail;
+    timelineEnd.value = year;
+    updateTimelineDisplay(start, year);
+    refreshFacets();
+  });
+
+  document.addEventListener('playbackStopped', () => {
+    playbackToggle.textContent = '▶ Play';
+    playbackToggle.classList.remove('playing');
+    saveState();
+  });
+
+  // Export the visible subgraph
+  document.getElementById('export-graph').addEventListener('click', () => {
+    const format = document.getElementById('export-format').value;
+    const network = activeView === 'correspondents' ? correspondence : graph;
+    try {
+      exportGraph(network, format, activeView === 'correspondents' ? 'gandhi-correspondents' : 'gandhi-graph');
+    } catch (error) {
+      console.error('Export failed:', error);
+    }
+  });
+
+  // Bulk citations for the documents in a collection or the compare tray
+  document.getElementById('export-citations').addEventListener('click', () => {
+    const style = document.getElementById('citation-style').value;
+    const documents = getCitationDocuments(document.getElementById('citation-source').value);
+    if (documents.length === 0) return;
+
+    downloadFile(
+      `gandhi-citations-${style}.${CITATION_STYLES[style].extension}`,
+      formatCitations(documents, style),
+      'text/plain'
+    );
+  });
+
+  document.addEventListener('collectionsChanged', () => renderCitationSources());
+  document.addEventListener('storeChanged', (event) => {
+    if (event.detail.changed.includes('compare')) renderCitationSources();
+  });
+
+  document.getElementById('download-volume').addEventListener('click', async () => {
+    const volume = document.getElementById('offline-volume').value;
+    const status = document.getElementById('offline-status');
+    if (!volume) return;
+
+    status.textContent = `Downloading Vol ${volume}...`;
+    try {
+      await downloadVolume(volume);
+      status.textContent = `Vol ${volume} is available offline.`;
+      renderVolumeOptions(volume);
+    } catch (error) {
+      console.error('Failed to download volume:', error);
+      status.textContent = `Could not download Vol ${volume}: ${error.message}`;
+    }
+  });
+
+  // Searched and plotted terms update the shareable URL
+  document.addEventListener('concordanceSearched', () => saveState());
+  document.addEventListener('trendsPlotted', () => saveState());
+  document.addEventListener('radialLayoutChanged', () => saveState());
+
+  // Zoom changes update the shareable URL
+  graph.zoom.on('end.state', () => saveState());
+  correspondence.zoom.on('end.state', () => saveState());
+  chart.zoom.on('end.state', () => saveState());
+
   // Reset button
   document.getElementById('reset-view').addEventListener('click', () => {
     graph.reset();
+    correspondence.applyFilters({ yearRange: null });
+    correspondence.clearHighlight();
 
     // Reset UI
     typeFilters.forEach(cb => cb.checked = true);
-    timelineSlider.value = timelineSlider.max;
-    currentYearDisplay.textContent = timelineSlider.max;
+    timelineStart.value = timelineStart.min;
+    timelineEnd.value = timelineEnd.max;
+    updateTimelineDisplay(parseInt(timelineStart.min), parseInt(timelineEnd.max));
     searchInput.value = '';
+    queryInput.value = '';
+    currentQuery = parseQuery('');
+    facetSelections = createFacetSelections();
+    refreshFacets();
 
     closePanel();
+    saveState();
   });
 
   // Zoom controls
   document.getElementById('zoom-in').addEventListener('click', () => {
-    chart.zoomIn();
+    getActiveViewInstance().zoomIn();
   });
 
   document.getElementById('zoom-out').addEventListener('click', () => {
-    chart.zoomOut();
+    getActiveViewInstance().zoomOut();
   });
 
   document.getElementById('zoom-fit')?.addEventListener('click', () => {
     // Radial chart doesn't need fit
-    chart.reset();
+    activeView === 'themes' ? chart.reset() : getActiveViewInstance().zoomFit();
   });
 
   // Close panel
@@ -184,11 +814,106 @@ function setupEventListeners() {
     }
   });
 
+  // Node clicks stop propagation, so any click reaching the view is on the background
+  document.getElementById('network-view').addEventListener('click', (e) => {
+    if (e.target.tagName === 'svg' || e.target.tagName === 'CANVAS') {
+      graph.clearHighlight();
+      closePanel();
+    }
+  });
+
+  document.getElementById('correspondence-svg').addEventListener('click', (e) => {
+    if (e.target.tagName === 'svg') {
+      correspondence.clearHighlight();
+      closePanel();
+    }
+  });
+
   // Radial chart doesn't need physics controls - skip
 }
 
-function displaySearchResults(results) {
+function renderCitationSources() {
+  const select = document.getElementById('citation-source');
+  const current = select.value;
+  const count = (items) => items.filter(item => item.kind === 'document').length;
+
+  select.innerHTML = [
+    ...collectionStore.collections.map(c => ({ value: c.id, label: c.name, items: c.items })),
+    { value: CITATION_SOURCE_COMPARE, label: 'Compare tray', items: appStore.compared }
+  ].map(({ value, label, items }) => `
+    <option value="${escapeHtml(value)}" ${value === current ? 'selected' : ''}>${escapeHtml(label)} (${count(items)})</option>
+  `).join('');
+}
+
+function getCitationDocuments(source) {
+  // Collection and compare items keep a metadata snapshot that citations are built from
+  const items = source === CITATION_SOURCE_COMPARE
+    ? appStore.compared
+    : collectionStore.get(source)?.items || [];
+  return items.filter(item => item.kind === 'document').map(item => item.doc);
+}
+
+async function renderVolumeOptions(selected = null) {
+  // Volumes of the loaded documents, ticked once saved for offline reading
+  const volumes = [...new Set(chart.documents.map(d => d.properties.volume).filter(Boolean))]
+    .sort((a, b) => parseInt(a) - parseInt(b));
+  const downloaded = await Promise.all(volumes.map(isVolumeDownloaded));
+
+  const select = document.getElementById('offline-volume');
+  const current = selected || select.value;
+  select.innerHTML = volumes.map((volume, i) => `
+    <option value="${escapeHtml(volume)}" ${volume === current ? 'selected' : ''}>Vol ${escapeHtml(volume)}${downloaded[i] ? ' ✓' : ''}</option>
+  `).join('');
+}
+
+function updateTimelineDisplay(start, end) {
+  const timelineStart = document.getElementById('timeline-start');
+  const min = parseInt(timelineStart.min);
+  const span = parseInt(timelineStart.max) - min;
+
+  document.getElementById('current-year').textContent = start === end ? start : `${start} – ${end}`;
+
+  // Highlight the selected portion of the track
+  const selection = document.getElementById('timeline-selection');
+  selection.style.left = `${((start - min) / span) * 100}%`;
+  selection.style.width = `${((end - start) / span) * 100}%`;
+}
+
+/**
+ * Ranked search over titles, people, themes and previews. With "Full text" checked,
+ * matches in the documents' full text are added once the texts are loaded.
+ */
+async function runSearch(query) {
+  const token = ++searchToken;
+  const results = searchIndex.search(query, 10);
+  if (!document.getElementById('search-full-text').checked) {
+    displaySearchResults(results);
+    return;
+  }
+
+  displaySearchResults(results, 'Searching full text…');
+  const texts = await loadDocumentTexts(chart.documents, {
+    onProgress: (progress) => {
+      if (token === searchToken) displaySearchResults(results, `Searching full text… ${Math.round(100 * progress)}%`);
+    },
+    isCancelled: () => token !== searchToken
+  });
+  if (token !== searchToken) return;
+
+  const found = new Set(results.map(result => result.node.id));
+  const textResults = searchIndex.searchText(query, texts, 10).filter(result => !found.has(result.node.id));
+  displaySearchResults([...results, ...textResults]);
+}
+
+function displaySearchResults(results, status = '') {
   const container = document.getElementById('search-results');
+  const statusLine = status ? `<div class="search-status">${escapeHtml(status)}</div>` : '';
+
+  if (results.length === 0 && status) {
+    container.innerHTML = statusLine;
+    container.classList.remove('hidden');
+    return;
+  }
 
   if (results.length === 0) {
     container.innerHTML = '<div style="padding: 12px; color: #999;">No results found</div>';
@@ -196,27 +921,29 @@ function displaySearchResults(results) {
     return;
   }
 
-  container.innerHTML = results.map(node => `
+  container.innerHTML = results.map(({ node, field, snippet }) => `
     <div class="search-result-item" data-node-id="${node.id}" style="
       padding: 12px;
       border-bottom: 1px solid #eee;
       cursor: pointer;
       transition: background 0.2s;
     " onmouseover="this.style.background='#f5f5f5'" onmouseout="this.style.background='white'">
-      <div style="font-weight: 500;">${node.label}</div>
+      <div style="font-weight: 500;">${escapeHtml(node.label)}</div>
       <div style="font-size: 0.85rem; color: #666; margin-top: 4px;">
-        ${node.type} ${node.properties?.date ? `• ${node.properties.date}` : ''}
+        ${node.type} ${node.properties?.date ? `• ${node.properties.date}` : ''} ${field ? `• ${field}` : ''}
       </div>
+      ${snippet ? `<div class="search-result-snippet">${snippet}</div>` : ''}
     </div>
-  `).join('');
+  `).join('') + statusLine;
 
   container.classList.remove('hidden');
 
   // Add click handlers
   container.querySelectorAll('.search-result-item').forEach(item => {
     item.addEventListener('click', () => {
-      const nodeId = item.dataset.nodeId;
-      graph.focusNode(nodeId);
+      const result = results.find(r => r.node.id === item.dataset.nodeId);
+      showNodeDetails(result.node);
+      if (activeView === 'graph') graph.focusNode(result.node.id);
       container.classList.add('hidden');
       document.getElementById('search-input').value = '';
     });
@@ -232,7 +959,7 @@ function showArcDetails(arcData) {
     <div class="metadata">
       <div class="metadata-item">
         <div class="metadata-label">Type</div>
-        <div class="metadata-value">${arcData.category ? 'Theme Category' : 'Theme'}</div>
+        <div class="metadata-value">${arcData.id ? 'Theme' : 'Theme Category'}</div>
       </div>
       ${arcData.documentCount ? `
       <div class="metadata-item">
@@ -242,18 +969,26 @@ function showArcDetails(arcData) {
       ` : ''}
     </div>
     <div class="content-text">
-      ${arcData.category ?
-        `This is a major thematic category in Gandhi's writings. Click on the sub-themes to explore specific topics.` :
-        `This theme appears in ${arcData.documentCount || 0} documents in the sample. Explore connected nodes to see related documents.`
+      ${arcData.id ?
+        `This theme appears in ${arcData.documentCount || 0} documents in the sample. Turn on the documents ring to list them around the theme.` :
+        `This is a major thematic category in Gandhi's writings. Click on the sub-themes to explore specific topics.`
       }
     </div>
   `;
 
   content.innerHTML = html;
   panel.classList.remove('hidden');
+
+  // Leaf arcs are themes and can be bookmarked like theme nodes
+  const themeNode = arcData.id && nodesById.get(arcData.id);
+  if (themeNode) addBookmarkControls(content, entityItem(themeNode));
+
+  openNodeId = null;
+  openArcKey = arcData.id || arcData.subcategory || arcData.category || null;
+  saveState({ push: true });
 }
 
-function showNodeDetails(node) {
+function showNodeDetails(node, options = {}) {
   const panel = document.getElementById('reading-panel');
   const content = document.getElementById('panel-content');
 
@@ -300,6 +1035,14 @@ function showNodeDetails(node) {
         ` : ''}
       </div>
 
+      <div class="citation">
+        <button class="btn-cite" id="cite-toggle">Cite</button>
+        <span class="compare-controls" id="compare-controls"></span>
+        <button class="btn-cite" data-show-view="tree">Show in Tree</button>
+        <button class="btn-cite" data-show-view="journey">Show on Map</button>
+        <div id="citation-box" class="citation-box hidden"></div>
+      </div>
+
       <div class="document-context" style="background: rgba(6, 182, 212, 0.1); padding: 1rem; border-radius: 8px; margin: 1rem 0;">
         <h3 style="font-size: 1.1rem; margin-bottom: 0.5rem; color: var(--color-primary);">Context</h3>
         <p style="font-size: 0.95rem; line-height: 1.6;">
@@ -308,10 +1051,9 @@ function showNodeDetails(node) {
         </p>
       </div>
 
-      <div class="content-text">
-        ${formatContent(node.properties.fullContent)}
-      </div>
-      ${formatFootnotes(node.properties.footnotes)}
+      <div class="entity-legend" id="entity-legend"></div>
+      <div class="content-text content-loading" id="document-text">${formatContent(node.properties.contentPreview)}</div>
+      <div id="document-footnotes"></div>
     `;
   } else if (node.type === 'theme') {
     html = `
@@ -403,40 +1145,188 @@ function showNodeDetails(node) {
 
   content.innerHTML = html;
   panel.classList.remove('hidden');
+
+  document.getElementById('cite-toggle')?.addEventListener('click', () => {
+    const box = document.getElementById('citation-box');
+    if (box.classList.toggle('hidden')) return;
+    renderCitationBox(box, node);
+  });
+
+  // The other views follow the selection through the shared store
+  content.querySelectorAll('[data-show-view]').forEach(button => {
+    button.addEventListener('click', () => switchView(button.dataset.showView));
+  });
+
+  if (options.select !== false) {
+    appStore.select(node.type === 'document' ? documentSelection(node) : entitySelection(node));
+  }
+
+  if (node.type === 'document') {
+    addBookmarkControls(content, documentItem(node));
+    renderCompareButton(document.getElementById('compare-controls'), documentItem(node), appStore);
+  } else if (node.type === 'theme' || node.type === 'person') {
+    addBookmarkControls(content, entityItem(node));
+  }
+
+  if (node.type === 'document') {
+    showDocumentContent(node, options);
+  }
+
+  openNodeId = node.id;
+  openArcKey = null;
+  saveState({ push: true });
 }
 
-function formatContent(content) {
-  if (!content) return '';
+async function showDocumentContent(node, options = {}) {
+  // The preview is shown until the document's volume shard arrives
+  let content;
+  try {
+    content = await loadDocumentContent(node);
+  } catch (error) {
+    console.error('Failed to load document text:', error);
+    content = { fullContent: node.properties.contentPreview || '', footnotes: null };
+  }
+
+  // Another document may have been opened in the meantime
+  const textEl = document.getElementById('document-text');
+  if (!textEl || openNodeId !== node.id) return;
 
-  // Replace footnote markers with superscript
-  let formatted = content.replace(/\{(\d+)\}/g, '<sup>[$1]</sup>');
+  textEl.innerHTML = formatContent(content.fullContent);
+  textEl.classList.remove('content-loading');
+  const footnotesEl = document.getElementById('document-footnotes');
+  footnotesEl.innerHTML = formatFootnotes(content.footnotes, referenceIndex);
 
-  // Basic paragraph breaks (double newline)
-  formatted = formatted.replace(/\n\n/g, '<br/><br/>');
+  // Footnote pop-overs, and "Vide …" references that open the referenced document
+  const footnoteOptions = { references: referenceIndex, onOpenDocument: (doc) => showNodeDetails(doc) };
+  attachFootnotes(textEl, content.footnotes, footnoteOptions);
+  attachFootnotes(footnotesEl, content.footnotes, footnoteOptions);
 
-  return formatted;
+  // People, events and themes mentioned in the text
+  const mentions = highlightEntities(textEl, entityMatcher, { onSelect: openMentionedNode });
+  renderEntityLegend(document.getElementById('entity-legend'), textEl, mentions);
+
+  attachAnnotator(textEl, node, annotationStore, {
+    focus: options.annotationId
+  });
 }
 
-function formatFootnotes(footnotes) {
-  if (!footnotes || Object.keys(footnotes).length === 0) return '';
+function openMentionedNode(node) {
+  // In the graph, zoom to the node (which then opens it); elsewhere just open it
+  if (activeView === 'graph' && graph.nodes.some(n => n.id === node.id)) {
+    graph.focusNode(node.id);
+  } else {
+    showNodeDetails(node);
+  }
+}
 
-  let html = '<div style="margin-top: 2rem; padding-top: 1rem; border-top: 1px solid #ddd;">';
-  html += '<h3 style="font-size: 1.2rem; margin-bottom: 1rem;">Footnotes</h3>';
+function showCorrespondentDetails(correspondent) {
+  const panel = document.getElementById('reading-panel');
+  const content = document.getElementById('panel-content');
+  const { name, letterCount, mentionCount, firstYear, lastYear } = correspondent.properties;
+
+  const letters = (correspondent.properties.letters || [])
+    .map(id => nodesById.get(id))
+    .filter(Boolean);
 
-  for (const [num, text] of Object.entries(footnotes)) {
-    html += `<div style="margin-bottom: 1rem;">
-      <strong>[${num}]</strong> ${text}
-    </div>`;
+  content.innerHTML = `
+    <h2>${escapeHtml(name)}</h2>
+    <div class="metadata">
+      <div class="metadata-item">
+        <div class="metadata-label">Type</div>
+        <div class="metadata-value">Correspondent</div>
+      </div>
+      <div class="metadata-item">
+        <div class="metadata-label">Letters</div>
+        <div class="metadata-value">${letterCount}</div>
+      </div>
+      ${mentionCount ? `
+      <div class="metadata-item">
+        <div class="metadata-label">Mentioned In</div>
+        <div class="metadata-value">${mentionCount} letters</div>
+      </div>
+      ` : ''}
+      ${firstYear ? `
+      <div class="metadata-item">
+        <div class="metadata-label">Span</div>
+        <div class="metadata-value">${firstYear === lastYear ? firstYear : `${firstYear} – ${lastYear}`}</div>
+      </div>
+      ` : ''}
+    </div>
+    ${letters.length > 0 ? `
+      <h3>Letters</h3>
+      <div class="letter-timeline" id="letter-timeline"></div>
+      <ul class="letter-list">
+        ${letters.map(doc => `
+          <li data-doc-id="${doc.id}">
+            <span class="letter-date">${doc.properties.date || ''}</span>
+            <span>${escapeHtml(doc.properties.title)}</span>
+          </li>
+        `).join('')}
+      </ul>
+    ` : `
+      <div class="content-text">
+        No letters to ${escapeHtml(name)} in the sample; mentioned in letters to other correspondents.
+      </div>
+    `}
+  `;
+  panel.classList.remove('hidden');
+
+  if (letters.length > 0) {
+    renderLetterTimeline(document.getElementById('letter-timeline'), letters, showNodeDetails);
+    content.querySelectorAll('.letter-list li').forEach(item => {
+      item.addEventListener('click', () => showNodeDetails(nodesById.get(item.dataset.docId)));
+    });
+  }
+
+  openNodeId = correspondent.id;
+  openArcKey = null;
+  saveState({ push: true });
+}
+
+function addBookmarkControls(content, item) {
+  const controls = document.createElement('div');
+  controls.className = 'bookmark-controls';
+  content.querySelector('h2').insertAdjacentElement('afterend', controls);
+  renderBookmarkControls(controls, item, collectionStore);
+}
+
+function openCollectionItem(item) {
+  if (item.kind === 'location') {
+    appStore.select({ kind: 'location', key: item.location, label: item.label });
+    switchView('journey');
+    return;
   }
 
-  html += '</div>';
-  return html;
+  const node = nodesById.get(item.key);
+  if (node) {
+    showNodeDetails(node);
+  } else {
+    console.error('Bookmarked item not found in this dataset:', item.label);
+  }
+}
+
+function openAnnotation(annotation) {
+  const doc = chart.documents.find(d => getDocumentKey(d) === annotation.docKey);
+  if (!doc) {
+    console.error('Annotated document not found in this dataset:', annotation.docTitle);
+    return;
+  }
+  showNodeDetails(doc, { annotationId: annotation.id });
 }
 
 function closePanel() {
   document.getElementById('reading-panel').classList.add('hidden');
+  closeFootnotePopover();
+
+  if (openNodeId || openArcKey) {
+    openNodeId = null;
+    openArcKey = null;
+    saveState({ push: true });
+  }
 }
 
+registerServiceWorker();
+
 // Start application when DOM is ready
 if (document.readyState === 'loading') {
   document.addEventListener('DOMContentLoaded', init);
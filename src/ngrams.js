@@ -0,0 +1,260 @@
+/**
+ * Term Trends for Gandhi Knowledge Graph
+ * How often terms occur per year in the documents' full text, normalized by the
+ * number of documents from that year, with optional smoothing. Clicking a year
+ * lists the documents that use the term then.
+ */
+
+import * as d3 from 'd3';
+import { loadDocumentTexts } from './content.js';
+import { buildTermPattern } from './concordance.js';
+import { escapeHtml } from './search.js';
+import { formatDocumentList, hideTooltip, onDocumentClick, showTooltip } from './chart_helpers.js';
+
+const MAX_TERMS = 10;
+const SMOOTHING_OPTIONS = [0, 1, 2, 3, 5];
+// Timeline playback refilters several times a second; replot once it settles
+const REPLOT_DELAY_MS = 300;
+
+/**
+ * Per-year series for each term: { term, points: [{ year, count, documents, value, smoothed }] }.
+ * `value` is occurrences per document written that year; `smoothed` averages it over
+ * `smoothing` years either side (years without documents are skipped).
+ */
+export function computeTermSeries(documents, texts, terms, smoothing = 0) {
+  const byYear = d3.group(documents.filter(doc => doc.properties.year), doc => parseInt(doc.properties.year));
+  const years = [...byYear.keys()].sort((a, b) => a - b);
+
+  return terms.map(term => {
+    const pattern = buildTermPattern(term);
+    const points = years.map(year => {
+      const yearDocs = byYear.get(year);
+      const matching = [];
+      let count = 0;
+
+      yearDocs.forEach(doc => {
+        const occurrences = (texts.get(doc.id) || '').match(pattern)?.length || 0;
+        if (occurrences) {
+          count += occurrences;
+          matching.push(doc);
+        }
+      });
+
+      return { year, count, documents: matching, value: count / yearDocs.length };
+    });
+
+    points.forEach(point => {
+      const nearby = points.filter(p => Math.abs(p.year - point.year) <= smoothing);
+      point.smoothed = d3.mean(nearby, p => p.value);
+    });
+
+    return { term, points };
+  });
+}
+
+export class TermFrequencyChart {
+  constructor(containerId, options = {}) {
+    this.container = d3.select(containerId);
+    this.onOpenDocument = options.onOpenDocument || (() => {});
+    this.documents = [];
+    this.terms = [];
+    this.smoothing = 1;
+    this.series = [];
+    this.selected = null;
+    this.loadToken = 0;
+    this.margin = { top: 30, right: 30, bottom: 40, left: 60 };
+
+    this.container.html(`
+      <form class="trends-form">
+        <input type="search" class="trends-terms" placeholder="Comma-separated terms, e.g. swadeshi, ahimsa, khadi" aria-label="Terms">
+        <button type="submit">Plot</button>
+        <label>Smoothing
+          <select class="trends-smoothing">
+            ${SMOOTHING_OPTIONS.map(n => `<option value="${n}" ${n === this.smoothing ? 'selected' : ''}>${n ? `${n} year${n > 1 ? 's' : ''}` : 'None'}</option>`).join('')}
+          </select>
+        </label>
+        <span class="trends-status"></span>
+      </form>
+      <svg class="trends-svg"></svg>
+      <div class="trends-documents"></div>
+    `);
+
+    this.input = this.container.select('.trends-terms');
+    this.status = this.container.select('.trends-status');
+    this.svg = this.container.select('.trends-svg');
+    this.documentList = this.container.select('.trends-documents');
+
+    this.container.select('form').on('submit', (event) => {
+      event.preventDefault();
+      this.plot(this.input.property('value'));
+    });
+    this.container.select('.trends-smoothing').on('change', (event) => {
+      this.smoothing = parseInt(event.target.value);
+      this.plot(this.terms.join(', '));
+    });
+    onDocumentClick(this.documentList.node(), () => this.documents, this.onOpenDocument);
+  }
+
+  updateDimensions() {
+    const rect = this.svg.node().getBoundingClientRect();
+    this.width = rect.width || 800;
+    this.height = rect.height || 400;
+  }
+
+  resize() {
+    this.updateDimensions();
+    this.render();
+  }
+
+  /**
+   * The documents counted, e.g. those passing the graph's filters
+   */
+  setDocuments(documents) {
+    this.documents = documents;
+    clearTimeout(this.replotTimeout);
+    if (this.terms.length) {
+      this.replotTimeout = setTimeout(() => this.plot(this.terms.join(', ')), REPLOT_DELAY_MS);
+    }
+  }
+
+  /**
+   * Set the terms without plotting, e.g. when restoring a shared link
+   */
+  setTerms(terms) {
+    this.terms = parseTerms(terms);
+    this.input.property('value', this.terms.join(', '));
+  }
+
+  async plot(terms) {
+    clearTimeout(this.replotTimeout);
+    this.setTerms(terms);
+    this.selected = null;
+    document.dispatchEvent(new CustomEvent('trendsPlotted', { detail: { terms: this.terms } }));
+
+    // A newer plot or document set supersedes this one while texts load
+    const token = ++this.loadToken;
+    const texts = this.terms.length
+      ? await loadDocumentTexts(this.documents, {
+        onProgress: (progress) => this.status.text(`Loading text… ${Math.round(100 * progress)}%`),
+        isCancelled: () => token !== this.loadToken
+      })
+      : new Map();
+    if (token !== this.loadToken) return;
+
+    this.series = computeTermSeries(this.documents, texts, this.terms, this.smoothing);
+    this.status.text(this.terms.length ? `Occurrences per document, across ${this.documents.length.toLocaleString()} documents` : '');
+    this.render();
+  }
+
+  render() {
+    const { width, height, margin } = this;
+    this.svg.attr('width', width).attr('height', height);
+    this.svg.selectAll('*').remove();
+    this.renderDocuments();
+    if (this.series.length === 0) return;
+
+    const allPoints = this.series.flatMap(s => s.points);
+    const x = d3.scaleLinear()
+      .domain(d3.extent(allPoints, p => p.year))
+      .range([margin.left, width - margin.right]);
+    const y = d3.scaleLinear()
+      .domain([0, d3.max(allPoints, p => p.smoothed) || 1])
+      .nice()
+      .range([height - margin.bottom, margin.top]);
+    const color = d3.scaleOrdinal(this.terms, d3.schemeTableau10);
+
+    this.svg.append('g')
+      .attr('class', 'trends-axis')
+      .attr('transform', `translate(0,${height - margin.bottom})`)
+      .call(d3.axisBottom(x).tickFormat(d3.format('d')));
+
+    this.svg.append('g')
+      .attr('class', 'trends-axis')
+      .attr('transform', `translate(${margin.left},0)`)
+      .call(d3.axisLeft(y).ticks(6));
+
+    const line = d3.line()
+      .x(p => x(p.year))
+      .y(p => y(p.smoothed))
+      .curve(d3.curveMonotoneX);
+
+    const series = this.svg.append('g')
+      .selectAll('g')
+      .data(this.series)
+      .join('g')
+      .attr('class', 'trends-series');
+
+    series.append('path')
+      .attr('class', 'trends-line')
+      .attr('fill', 'none')
+      .attr('stroke', s => color(s.term))
+      .attr('d', s => line(s.points));
+
+    // Points are only drawn where the term occurs; click one for its documents
+    series.selectAll('circle')
+      .data(s => s.points.filter(p => p.count > 0).map(p => ({ ...p, term: s.term })))
+      .join('circle')
+      .attr('class', 'trends-point')
+      .attr('cx', p => x(p.year))
+      .attr('cy', p => y(p.smoothed))
+      .attr('r', p => this.isSelected(p) ? 6 : 3.5)
+      .attr('fill', p => color(p.term))
+      .on('mouseover', (event, p) => this.showPointTooltip(event, p))
+      .on('mouseout', () => hideTooltip())
+      .on('click', (event, p) => {
+        this.selected = this.isSelected(p) ? null : { term: p.term, year: p.year };
+        this.render();
+      });
+
+    this.renderLegend(color);
+  }
+
+  renderLegend(color) {
+    const legend = this.svg.append('g')
+      .attr('class', 'trends-legend')
+      .attr('transform', `translate(${this.margin.left + 10},${this.margin.top - 12})`);
+
+    let offset = 0;
+    this.terms.forEach(term => {
+      const item = legend.append('g').attr('transform', `translate(${offset},0)`);
+      item.append('rect').attr('width', 14).attr('height', 3).attr('y', -4).attr('fill', color(term));
+      const label = item.append('text').attr('x', 18).text(term);
+      offset += 18 + label.node().getComputedTextLength() + 16;
+    });
+  }
+
+  renderDocuments() {
+    const point = this.selected && this.series
+      .find(s => s.term === this.selected.term)?.points
+      .find(p => p.year === this.selected.year);
+
+    if (!point) {
+      this.documentList.html('');
+      return;
+    }
+
+    this.documentList.html(`
+      <h3>“${escapeHtml(this.selected.term)}” in ${point.year}: ${point.count} occurrences in ${point.documents.length} documents</h3>
+      ${formatDocumentList(point.documents)}
+    `);
+  }
+
+  isSelected(point) {
+    return this.selected?.term === point.term && this.selected?.year === point.year;
+  }
+
+  showPointTooltip(event, point) {
+    showTooltip(event, `
+      <strong>${escapeHtml(point.term)}</strong> – ${point.year}<br/>
+      ${point.value.toFixed(2)} per document${this.smoothing ? ` (smoothed ${point.smoothed.toFixed(2)})` : ''}<br/>
+      ${point.count} occurrences in ${point.documents.length} documents
+    `);
+  }
+}
+
+function parseTerms(value) {
+  const terms = (Array.isArray(value) ? value : String(value || '').split(','))
+    .map(term => term.trim())
+    .filter(Boolean);
+  return [...new Set(terms)].slice(0, MAX_TERMS);
+}
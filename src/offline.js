@@ -0,0 +1,64 @@
+/**
+ * Offline Support for Gandhi Knowledge Graph
+ * Registers the service worker (public/sw.js), shows an online/offline indicator
+ * and saves volumes of document text for reading without a connection
+ */
+
+import { getShardUrl } from './content.js';
+import { isEmbedded } from './store.js';
+
+export function registerServiceWorker() {
+  // The dev server's modules change on every edit, so only production builds are cached
+  if (!('serviceWorker' in navigator) || import.meta.env.DEV) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(error => {
+      console.error('Service worker registration failed:', error);
+    });
+  });
+}
+
+export function renderOfflineIndicator() {
+  // Pages embedded in the shell share its indicator
+  if (isEmbedded()) return;
+
+  const indicator = document.createElement('div');
+  indicator.className = 'offline-indicator';
+  indicator.setAttribute('role', 'status');
+  document.body.appendChild(indicator);
+
+  const update = () => {
+    const online = navigator.onLine;
+    indicator.classList.toggle('offline', !online);
+    indicator.textContent = online ? 'Online' : 'Offline – showing saved copies';
+  };
+
+  window.addEventListener('online', update);
+  window.addEventListener('offline', update);
+  update();
+}
+
+/**
+ * Ask the service worker to save a volume's content shard
+ */
+export async function downloadVolume(volume) {
+  const registration = await navigator.serviceWorker?.getRegistration();
+  if (!registration?.active) throw new Error('Offline support is not available in this browser yet');
+
+  return new Promise((resolve, reject) => {
+    const channel = new MessageChannel();
+    channel.port1.onmessage = ({ data }) => {
+      if (data.ok) {
+        resolve();
+      } else {
+        reject(new Error(data.error));
+      }
+    };
+    registration.active.postMessage({ type: 'cacheUrls', urls: [getShardUrl(volume)] }, [channel.port2]);
+  });
+}
+
+export async function isVolumeDownloaded(volume) {
+  if (!('caches' in window)) return false;
+  return !!(await caches.match(getShardUrl(volume)));
+}
@@ -0,0 +1,170 @@
+/**
+ * Advanced Query Parser for Gandhi Knowledge Graph
+ * Boolean field syntax, e.g. type:LETTER addressee:"Mirabehn" theme:theme_truth year:1930..1935 -telegram
+ *
+ * - Terms are ANDed together; OR between terms starts an alternative group
+ * - A leading "-" (or NOT) excludes a term
+ * - field:value and field:"quoted value" restrict a single field
+ * - year:1930..1935, year:1930.., year:..1935 and year:1930 select years
+ */
+
+// Query field aliases → canonical field names
+const FIELD_ALIASES = {
+  type: 'docType',
+  doctype: 'docType',
+  addressee: 'addressee',
+  to: 'addressee',
+  theme: 'theme',
+  person: 'person',
+  year: 'year',
+  decade: 'decade',
+  language: 'language',
+  lang: 'language',
+  volume: 'volume',
+  vol: 'volume',
+  source: 'source',
+  from: 'writtenFrom',
+  title: 'title'
+};
+
+const TOKEN_PATTERN = /(-)?(?:([a-zA-Z]+):)?(?:"([^"]*)"|(\S+))/g;
+
+export function parseQuery(input) {
+  const groups = [[]];
+  let negateNext = false;
+
+  for (const match of (input || '').matchAll(TOKEN_PATTERN)) {
+    const [, minus, rawField, quoted, bare] = match;
+    const value = quoted ?? bare;
+
+    // Boolean operators
+    if (!rawField && quoted === undefined) {
+      if (bare === 'OR') {
+        if (groups[groups.length - 1].length > 0) groups.push([]);
+        continue;
+      }
+      if (bare === 'AND') continue;
+      if (bare === 'NOT') {
+        negateNext = true;
+        continue;
+      }
+    }
+
+    const field = rawField ? FIELD_ALIASES[rawField.toLowerCase()] : null;
+    const clause = {
+      field: field || 'text',
+      value: field || !rawField ? value : `${rawField}:${value}`,
+      negate: !!minus || negateNext,
+      phrase: quoted !== undefined
+    };
+    negateNext = false;
+
+    if (clause.field === 'year' || clause.field === 'decade') {
+      clause.range = parseYearRange(clause.value, clause.field === 'decade');
+    }
+
+    if (clause.value !== '') groups[groups.length - 1].push(clause);
+  }
+
+  return {
+    input: input || '',
+    groups: groups.filter(group => group.length > 0)
+  };
+}
+
+export function isEmptyQuery(query) {
+  return !query || query.groups.length === 0;
+}
+
+/**
+ * Whether the query has free-text terms, which match against the documents' full text
+ */
+export function hasTextClauses(query) {
+  return !isEmptyQuery(query) && query.groups.some(group => group.some(clause => clause.field === 'text'));
+}
+
+function parseYearRange(value, isDecade) {
+  const [start, end] = value.includes('..') ? value.split('..') : [value, value];
+  const from = parseInt(start);
+  const to = parseInt(end);
+
+  return {
+    start: Number.isNaN(from) ? -Infinity : from,
+    end: Number.isNaN(to) ? Infinity : (isDecade ? to + 9 : to)
+  };
+}
+
+/**
+ * Build document → theme/person lookups used by theme: and person: clauses.
+ * Free-text clauses match `getText(id)`, the full text if it has been loaded, else the preview.
+ */
+export function buildDocumentLinks(nodes, edges, getText = () => undefined) {
+  const nodesById = new Map(nodes.map(n => [n.id, n]));
+  const themes = new Map();
+  const people = new Map();
+
+  edges.forEach(edge => {
+    const sourceId = typeof edge.source === 'object' ? edge.source.id : edge.source;
+    const targetId = typeof edge.target === 'object' ? edge.target.id : edge.target;
+    const target = nodesById.get(targetId);
+    if (!target) return;
+
+    if (target.type === 'theme' && edge.type === 'DISCUSSES') {
+      if (!themes.has(sourceId)) themes.set(sourceId, []);
+      themes.get(sourceId).push(target);
+    } else if (target.type === 'person' && edge.type === 'MENTIONS') {
+      if (!people.has(sourceId)) people.set(sourceId, []);
+      people.get(sourceId).push(target);
+    }
+  });
+
+  return { themes, people, getText };
+}
+
+/**
+ * Returns a predicate testing document nodes against a parsed query
+ */
+export function createQueryMatcher(query, links = { themes: new Map(), people: new Map(), getText: () => undefined }) {
+  if (isEmptyQuery(query)) return () => true;
+
+  const matchClause = (node, clause) => {
+    const props = node.properties || {};
+    const needle = clause.value.toLowerCase();
+    const contains = (value) => String(value ?? '').toLowerCase().includes(needle);
+
+    switch (clause.field) {
+      case 'docType':
+        return (props.docType || '').toLowerCase() === needle;
+      case 'language':
+        return (props.language || '').toLowerCase() === needle;
+      case 'volume':
+        return String(props.volume) === clause.value;
+      case 'year':
+      case 'decade':
+        return props.year != null && props.year >= clause.range.start && props.year <= clause.range.end;
+      case 'theme':
+        return (links.themes.get(node.id) || []).some(theme =>
+          theme.id === clause.value || contains(theme.properties?.name || theme.label)
+        );
+      case 'person':
+        return (links.people.get(node.id) || []).some(person =>
+          person.id === clause.value || contains(person.properties?.name || person.label)
+        ) || contains(props.addressee);
+      case 'addressee':
+      case 'source':
+      case 'writtenFrom':
+      case 'title':
+        return contains(props[clause.field]);
+      default:
+        return contains(props.title || node.label) ||
+          contains(props.docType) ||
+          contains(props.addressee) ||
+          contains(props.source) ||
+          contains(links.getText?.(node.id) ?? props.fullContent ?? props.contentPreview);
+    }
+  };
+
+  return (node) => query.groups.some(group =>
+    group.every(clause => matchClause(node, clause) !== clause.negate)
+  );
+}
@@ -1,9 +1,16 @@
 /**
  * D3.js Radial Sunburst Chart for Gandhi Knowledge Graph
- * Hierarchical visualization of Philosophical, Social, and Political themes
+ * Hierarchical visualization of Philosophical, Social, and Political themes,
+ * drawn as a radial cluster or as a zoomable sunburst or icicle
  */
 
 import * as d3 from 'd3';
+import { parseDocumentDate } from './dates.js';
+import { escapeHtml } from './search.js';
+
+export const LAYOUTS = ['cluster', 'sunburst', 'icicle'];
+// How a theme's documents are ordered when it is expanded into a fourth ring
+export const DOCUMENT_ORDERS = ['weight', 'date'];
 
 export class RadialChart {
   constructor(containerId, options = {}) {
@@ -25,6 +32,23 @@ export class RadialChart {
 
     // State
     this.selectedNode = null;
+    this.layout = 'cluster';
+    // Sunburst and icicle: the subtree zoomed into, and how to zoom to another
+    this.focus = null;
+    this.zoomToNode = null;
+    // Document ring: off (null) or the order of the clicked theme's documents
+    this.documentRing = null;
+    this.expandedThemeId = null;
+    this.themeDocuments = null;
+
+    // Layout toggle, document ring and zoom trail, when the page has them
+    this.layoutButtons = this.container.selectAll('.radial-layouts button')
+      .on('click', (event) => this.setLayout(event.currentTarget.dataset.layout));
+    this.documentRingToggle = this.container.select('.radial-document-ring input')
+      .on('change', () => this.setDocumentRing(this.readDocumentRingControls()));
+    this.documentOrderSelect = this.container.select('.radial-document-order')
+      .on('change', () => this.setDocumentRing(this.readDocumentRingControls()));
+    this.breadcrumbs = this.container.select('.radial-breadcrumbs');
 
     // Initialize
     this.init();
@@ -63,6 +87,16 @@ export class RadialChart {
     this.radius = Math.min(this.width, this.height) / 2 - 40;
   }
 
+  /**
+   * Bottom of the layout toolbar relative to the container, which the toolbar overlays
+   */
+  toolbarBottom() {
+    const toolbar = this.container.select('.radial-toolbar').node();
+    const rect = toolbar?.getBoundingClientRect();
+    if (!rect || rect.height === 0) return 20;
+    return rect.bottom - this.container.node().getBoundingClientRect().top;
+  }
+
   async loadData(nodesPath, edgesPath, metadataPath) {
     try {
       const [nodes, edges, metadata] = await Promise.all([
@@ -71,19 +105,7 @@ export class RadialChart {
         d3.json(metadataPath)
       ]);
 
-      this.nodes = nodes;
-      this.edges = edges;
-      this.colorScheme = metadata.colorScheme;
-      this.themeHierarchy = metadata.themeHierarchy;
-      this.documents = nodes.filter(n => n.type === 'document');
-
-      // Build hierarchy from theme data
-      this.buildHierarchy();
-
-      console.log('Loaded radial data:', {
-        nodes: this.nodes.length,
-        themes: this.hierarchyData.children.length
-      });
+      this.setData(nodes, edges, metadata);
 
       return { nodes, edges, metadata };
     } catch (error) {
@@ -92,7 +114,45 @@ export class RadialChart {
     }
   }
 
-  buildHierarchy() {
+  /**
+   * Use data that has already been loaded (e.g. by the data worker).
+   * themeDocumentCounts maps theme id → number of connected documents.
+   */
+  setData(nodes, edges, metadata, { themeDocumentCounts } = {}) {
+    this.nodes = nodes;
+    this.edges = edges;
+    this.themeDocuments = null;
+    this.colorScheme = metadata.colorScheme;
+    this.themeHierarchy = metadata.themeHierarchy;
+    this.documents = nodes.filter(n => n.type === 'document');
+
+    // Build hierarchy from theme data
+    this.buildHierarchy(themeDocumentCounts || this.countThemeDocuments());
+
+    console.log('Loaded radial data:', {
+      nodes: this.nodes.length,
+      themes: this.hierarchyData.children.length
+    });
+  }
+
+  countThemeDocuments() {
+    const types = new Map(this.nodes.map(n => [n.id, n.type]));
+    const counts = new Map();
+
+    this.edges.forEach(e => {
+      const sourceType = types.get(e.source);
+      const targetType = types.get(e.target);
+      if (sourceType === 'theme' && targetType === 'document') {
+        counts.set(e.source, (counts.get(e.source) || 0) + 1);
+      } else if (targetType === 'theme' && sourceType === 'document') {
+        counts.set(e.target, (counts.get(e.target) || 0) + 1);
+      }
+    });
+
+    return counts;
+  }
+
+  buildHierarchy(themeDocumentCounts) {
     // Create root node
     const root = {
       name: "Gandhi's Themes",
@@ -128,17 +188,10 @@ export class RadialChart {
         );
 
         themeNodes.forEach(theme => {
-          // Count connected documents
-          const connectedDocs = this.edges.filter(e =>
-            (e.source === theme.id || e.target === theme.id) &&
-            (this.nodes.find(n => n.id === e.source)?.type === 'document' ||
-             this.nodes.find(n => n.id === e.target)?.type === 'document')
-          );
-
           subcategoryNode.children.push({
             name: theme.properties.name,
             id: theme.id,
-            value: connectedDocs.length || 1,
+            value: themeDocumentCounts.get(theme.id) || 1,
             category: categoryKey,
             subcategory: subcategoryKey,
             color: category.color,
@@ -161,11 +214,126 @@ export class RadialChart {
     this.hierarchyData = root;
   }
 
+  setLayout(layout) {
+    if (!LAYOUTS.includes(layout)) layout = 'cluster';
+    if (layout === this.layout) return;
+
+    // Keep the selection across layouts
+    const selected = this.selectedNode?.data;
+    this.layout = layout;
+    this.render();
+    if (selected) this.selectArc(selected.id || selected.subcategory || selected.category);
+
+    document.dispatchEvent(new CustomEvent('radialLayoutChanged', {
+      detail: { layout }
+    }));
+  }
+
+  /**
+   * Turn the document ring on (with the order of the documents) or off (null).
+   * With the ring on, clicking a theme lists its documents around it.
+   */
+  setDocumentRing(order) {
+    order = DOCUMENT_ORDERS.includes(order) ? order : null;
+    this.documentRingToggle.property('checked', !!order);
+    this.documentOrderSelect.property('disabled', !order);
+    if (order) this.documentOrderSelect.property('value', order);
+    if (order === this.documentRing) return;
+
+    const expanded = order && this.expandedThemeId;
+    this.documentRing = order;
+    this.expandedThemeId = expanded || null;
+    this.render();
+    if (expanded) this.selectArc(expanded);
+
+    document.dispatchEvent(new CustomEvent('radialLayoutChanged', {
+      detail: { layout: this.layout, documentRing: order }
+    }));
+  }
+
+  readDocumentRingControls() {
+    return this.documentRingToggle.property('checked') ? this.documentOrderSelect.property('value') : null;
+  }
+
+  /**
+   * A theme's documents as leaves of the hierarchy. The theme → documents lookup is
+   * built on first use from the DISCUSSES edges.
+   */
+  getThemeDocuments(theme) {
+    if (!this.themeDocuments) {
+      const documentsById = new Map(this.documents.map(doc => [doc.id, doc]));
+      this.themeDocuments = new Map();
+
+      this.edges.forEach(edge => {
+        if (edge.type !== 'DISCUSSES') return;
+        const sourceId = typeof edge.source === 'object' ? edge.source.id : edge.source;
+        const targetId = typeof edge.target === 'object' ? edge.target.id : edge.target;
+        const doc = documentsById.get(sourceId);
+        if (!doc) return;
+
+        if (!this.themeDocuments.has(targetId)) this.themeDocuments.set(targetId, []);
+        this.themeDocuments.get(targetId).push({ doc, weight: edge.weight || 0 });
+      });
+    }
+
+    const links = [...(this.themeDocuments.get(theme.id) || [])];
+    if (this.documentRing === 'date') {
+      links.sort((a, b) => (parseDocumentDate(a.doc.properties.date).getTime() || 0) - (parseDocumentDate(b.doc.properties.date).getTime() || 0));
+    } else {
+      links.sort((a, b) => b.weight - a.weight);
+    }
+
+    // Documents share out the theme's arc, so expanding it doesn't resize it
+    const share = (theme.documentCount || links.length) / Math.max(1, links.length);
+    return links.map(({ doc, weight }) => ({
+      name: doc.properties.title || doc.label,
+      id: doc.id,
+      document: doc,
+      weight,
+      date: doc.properties.date,
+      color: theme.color,
+      share
+    }));
+  }
+
+  /**
+   * The theme hierarchy, with the expanded theme's documents as a fourth level
+   */
+  getHierarchy() {
+    return d3.hierarchy(this.hierarchyData, d =>
+      this.documentRing && d.id && d.id === this.expandedThemeId && !d.document
+        ? this.getThemeDocuments(d)
+        : d.children
+    );
+  }
+
   render() {
+    const layout = this.layout;
+    this.g.selectAll('*').remove();
+    this.selectedNode = null;
+    this.linkElements = null;
+    this.nodeElements = null;
+    this.arcElements = null;
+    this.focus = null;
+    this.zoomToNode = null;
+
+    this.layoutButtons.classed('active', function() { return this.dataset.layout === layout; });
+    this.breadcrumbs.classed('hidden', layout === 'cluster');
+
+    if (layout === 'sunburst') {
+      this.renderSunburst();
+    } else if (layout === 'icicle') {
+      this.renderIcicle();
+    } else {
+      this.renderCluster();
+    }
+  }
+
+  renderCluster() {
     console.log('Rendering radial cluster chart');
 
     // Create hierarchy
-    const hierarchy = d3.hierarchy(this.hierarchyData);
+    const hierarchy = this.getHierarchy();
 
     // Create radial cluster layout
     const cluster = d3.cluster()
@@ -238,6 +406,183 @@ export class RadialChart {
     this.nodeElements = nodes;
   }
 
+  /**
+   * The hierarchy for the space-filling layouts, sized by each theme's document count
+   */
+  partitionHierarchy() {
+    return this.getHierarchy()
+      .sum(d => d.document ? d.share : (d.children ? 0 : d.documentCount || 0))
+      .sort((a, b) => b.value - a.value);
+  }
+
+  renderSunburst() {
+    const hierarchy = this.partitionHierarchy();
+    const root = d3.partition().size([2 * Math.PI, hierarchy.height + 1])(hierarchy);
+    root.each(d => { d.current = d; });
+
+    // One ring per level, with the zoomed-into node in the middle
+    const ring = this.radius / (root.height + 1);
+    const arc = d3.arc()
+      .startAngle(d => d.x0)
+      .endAngle(d => d.x1)
+      .padAngle(d => Math.min((d.x1 - d.x0) / 2, 0.005))
+      .padRadius(ring * 1.5)
+      .innerRadius(d => d.y0 * ring)
+      .outerRadius(d => Math.max(d.y0 * ring, d.y1 * ring - 1));
+
+    const arcVisible = d => d.y1 <= root.height + 1 && d.y0 >= 1 && d.x1 > d.x0;
+    const labelVisible = d => arcVisible(d) && (d.y1 - d.y0) * (d.x1 - d.x0) > 0.03;
+    const labelTransform = d => {
+      const angle = (d.x0 + d.x1) / 2 * 180 / Math.PI;
+      const radius = (d.y0 + d.y1) / 2 * ring;
+      return `rotate(${angle - 90}) translate(${radius},0) rotate(${angle < 180 ? 0 : 180})`;
+    };
+
+    const arcs = this.g.append('g')
+      .selectAll('path')
+      .data(root.descendants().slice(1))
+      .join('path')
+      .attr('class', 'radial-arc')
+      .attr('fill', d => this.getArcColor(d))
+      .attr('fill-opacity', d => arcVisible(d.current) ? 1 : 0)
+      .attr('pointer-events', d => arcVisible(d.current) ? 'auto' : 'none')
+      .attr('d', d => arc(d.current))
+      .on('click', (event, d) => this.onNodeClick(event, d))
+      .on('mouseover', (event, d) => this.onNodeHover(event, d))
+      .on('mouseout', () => this.onNodeOut());
+
+    const labels = this.g.append('g')
+      .attr('class', 'radial-arc-labels')
+      .attr('pointer-events', 'none')
+      .attr('text-anchor', 'middle')
+      .selectAll('text')
+      .data(root.descendants().slice(1))
+      .join('text')
+      .attr('dy', '0.35em')
+      .attr('fill-opacity', d => +labelVisible(d.current))
+      .attr('transform', d => labelTransform(d.current))
+      .text(d => truncateLabel(d.data.name, 18));
+
+    // Clicking the middle zooms back out
+    this.g.append('circle')
+      .attr('class', 'radial-center')
+      .attr('r', ring)
+      .on('click', (event) => {
+        event.stopPropagation();
+        this.zoomToNode(this.focus.parent || root);
+      });
+
+    this.zoomToNode = (p) => {
+      this.focus = p;
+      root.each(d => {
+        d.target = {
+          x0: Math.max(0, Math.min(1, (d.x0 - p.x0) / (p.x1 - p.x0))) * 2 * Math.PI,
+          x1: Math.max(0, Math.min(1, (d.x1 - p.x0) / (p.x1 - p.x0))) * 2 * Math.PI,
+          y0: Math.max(0, d.y0 - p.depth),
+          y1: Math.max(0, d.y1 - p.depth)
+        };
+      });
+
+      const t = this.g.transition().duration(750);
+
+      // Only arcs and labels that are or will be visible are animated
+      arcs.transition(t)
+        .tween('data', d => {
+          const interpolate = d3.interpolate(d.current, d.target);
+          return time => { d.current = interpolate(time); };
+        })
+        .filter(function(d) { return +this.getAttribute('fill-opacity') || arcVisible(d.target); })
+        .attr('fill-opacity', d => arcVisible(d.target) ? 1 : 0)
+        .attr('pointer-events', d => arcVisible(d.target) ? 'auto' : 'none')
+        .attrTween('d', d => () => arc(d.current));
+
+      labels.filter(function(d) { return +this.getAttribute('fill-opacity') || labelVisible(d.target); })
+        .transition(t)
+        .attr('fill-opacity', d => +labelVisible(d.target))
+        .attrTween('transform', d => () => labelTransform(d.current));
+
+      this.renderBreadcrumbs(p);
+    };
+
+    this.arcElements = arcs;
+    this.focus = root;
+    this.renderBreadcrumbs(root);
+  }
+
+  renderIcicle() {
+    // Below the view switcher and layout toolbar
+    const top = this.toolbarBottom() + 10;
+    const width = this.width - 40;
+    const height = this.height - top - 20;
+
+    // Levels run left to right; x is vertical, y horizontal
+    const root = d3.partition().size([height, width])(this.partitionHierarchy());
+    root.each(d => { d.current = d; });
+
+    const cellHeight = d => Math.max(0, d.x1 - d.x0 - Math.min(1, (d.x1 - d.x0) / 2));
+    const labelVisible = d => d.y1 <= width && d.y0 >= 0 && d.x1 - d.x0 > 16;
+
+    const cells = this.g.append('g')
+      .attr('transform', `translate(${20 - this.width / 2},${top - this.height / 2})`)
+      .selectAll('g')
+      .data(root.descendants())
+      .join('g')
+      .attr('class', 'radial-cell')
+      .attr('transform', d => `translate(${d.y0},${d.x0})`)
+      .on('click', (event, d) => this.onNodeClick(event, d))
+      .on('mouseover', (event, d) => this.onNodeHover(event, d))
+      .on('mouseout', () => this.onNodeOut());
+
+    const rects = cells.append('rect')
+      .attr('class', 'radial-arc')
+      .attr('width', d => d.y1 - d.y0 - 1)
+      .attr('height', d => cellHeight(d))
+      .attr('fill', d => this.getArcColor(d));
+
+    const labels = cells.append('text')
+      .attr('class', 'radial-cell-label')
+      .attr('x', 6)
+      .attr('y', 14)
+      .attr('pointer-events', 'none')
+      .attr('fill-opacity', d => +labelVisible(d))
+      .text(d => truncateLabel(d.data.name, Math.floor((d.y1 - d.y0) / 7)));
+
+    this.zoomToNode = (p) => {
+      this.focus = p;
+      root.each(d => {
+        d.target = {
+          x0: (d.x0 - p.x0) / (p.x1 - p.x0) * height,
+          x1: (d.x1 - p.x0) / (p.x1 - p.x0) * height,
+          y0: d.y0 - p.y0,
+          y1: d.y1 - p.y0
+        };
+      });
+
+      const t = this.g.transition().duration(750);
+      cells.transition(t).attr('transform', d => `translate(${d.target.y0},${d.target.x0})`);
+      rects.transition(t).attr('height', d => cellHeight(d.target));
+      labels.transition(t).attr('fill-opacity', d => +labelVisible(d.target));
+
+      this.renderBreadcrumbs(p);
+    };
+
+    this.arcElements = rects;
+    this.focus = root;
+    this.renderBreadcrumbs(root);
+  }
+
+  renderBreadcrumbs(node) {
+    this.breadcrumbs.selectAll('button')
+      .data(node.ancestors().reverse())
+      .join('button')
+      .attr('class', 'radial-crumb')
+      .classed('current', d => d === node)
+      .text(d => d.data.name)
+      .on('click', (event, d) => {
+        if (d !== node) this.zoomToNode(d);
+      });
+  }
+
   getNodeRadius(d) {
     if (d.depth === 0) return 12; // Root
     if (d.depth === 1) return 8;  // Main Categories (5 categories)
@@ -304,6 +649,23 @@ export class RadialChart {
 
   onNodeClick(event, d) {
     event.stopPropagation();
+
+    // With the document ring on, a clicked theme is expanded into its documents
+    if (this.documentRing && d.depth === 3 && !d.data.document && this.expandedThemeId !== d.data.id) {
+      this.expandedThemeId = d.data.id;
+      this.render();
+      this.selectArc(d.data.id);
+      return;
+    }
+
+    // Sunburst and icicle zoom into the clicked subtree (a theme's subcategory for a
+    // theme); clicking the zoomed-into node zooms back out
+    if (this.zoomToNode) {
+      const zoomingOut = d === this.focus;
+      this.zoomToNode(zoomingOut ? d.parent || d : (d.children ? d : d.parent));
+      if (zoomingOut || d.depth === 0) return;
+    }
+
     this.selectedNode = d;
 
     // Highlight connected nodes and links
@@ -322,7 +684,7 @@ export class RadialChart {
     const tooltipEnter = tooltip.enter().append('div').attr('class', 'tooltip');
     const tooltipMerge = tooltipEnter.merge(tooltip);
 
-    let content = `<strong>${d.data.name}</strong><br/>`;
+    let content = `<strong>${escapeHtml(d.data.name)}</strong><br/>`;
     if (d.depth === 0) {
       content += `Root - ${d.children ? d.children.length : 0} categories`;
     } else if (d.depth === 1) {
@@ -334,6 +696,9 @@ export class RadialChart {
     } else if (d.depth === 3) {
       content += `Theme<br/>`;
       content += `${d.data.documentCount || 0} documents`;
+    } else if (d.data.document) {
+      content += `Document<br/>`;
+      content += escapeHtml([d.data.date, `relevance ${d.data.weight}`].filter(Boolean).join(' • '));
     }
 
     tooltipMerge
@@ -370,6 +735,10 @@ export class RadialChart {
       .attr('stroke-width', node => pathNodes.has(node) ? 4 : 2)
       .attr('fill-opacity', node => pathNodes.has(node) ? 1 : 0.3);
 
+    // Arcs: the path and the selected subtree
+    const subtree = new Set(d.descendants());
+    this.arcElements?.classed('dimmed', node => !pathNodes.has(node) && !subtree.has(node));
+
     // Highlight links in path
     this.linkElements
       ?.attr('stroke-opacity', link =>
@@ -391,6 +760,32 @@ export class RadialChart {
     this.linkElements
       ?.attr('stroke-opacity', 0.4)
       .attr('stroke-width', 2);
+
+    this.arcElements?.classed('dimmed', false);
+    if (this.zoomToNode && this.focus?.parent) {
+      this.zoomToNode(this.focus.ancestors().pop());
+    }
+  }
+
+  selectArc(key) {
+    // Select a theme, subcategory or category by its id/key (used when restoring state)
+    const target = (this.nodeElements || this.arcElements)?.data().find(d =>
+      d.data.id === key ||
+      (d.depth === 2 && d.data.subcategory === key) ||
+      (d.depth === 1 && d.data.category === key)
+    );
+    if (target) {
+      this.onNodeClick({ stopPropagation: () => {} }, target);
+    }
+    return target;
+  }
+
+  getTransform() {
+    return d3.zoomTransform(this.svg.node());
+  }
+
+  setTransform({ x, y, k }) {
+    this.svg.call(this.zoom.transform, d3.zoomIdentity.translate(x, y).scale(k));
   }
 
   zoomIn() {
@@ -405,3 +800,8 @@ export class RadialChart {
     this.svg.selectAll('*').remove();
   }
 }
+
+function truncateLabel(name, maxLength) {
+  if (maxLength < 4) return '';
+  return name.length > maxLength ? name.substring(0, maxLength - 1) + '…' : name;
+}
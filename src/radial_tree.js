@@ -4,6 +4,23 @@
  */
 
 import * as d3 from 'd3';
+import {
+  readHashState,
+  writeHashState,
+  onHashStateChange,
+  parseList,
+  formatTransform,
+  parseTransform
+} from './url_state.js';
+import { renderCitationBox } from './citation.js';
+import { AnnotationStore, attachAnnotator, getDocumentKey, renderNotesPanel } from './annotations.js';
+import { documentItem, renderBookmarkControls } from './collections.js';
+import { loadDocumentContent, loadDocumentTexts } from './content.js';
+import { registerServiceWorker, renderOfflineIndicator, downloadVolume, isVolumeDownloaded } from './offline.js';
+import { AppStore, documentSelection, matchesSelection } from './store.js';
+import { renderCompareButton, renderCompareTray } from './compare.js';
+import { ReferenceIndex, attachFootnotes } from './footnotes.js';
+import { formatContent, formatFootnotes } from './format.js';
 
 const CONFIG = {
   dataPath: '/data/radial_tree.json',
@@ -42,8 +59,22 @@ let root = null;
 let zoom = null;
 let i = 0;
 let duration = 750;
+let openDocPath = null;
+let restoringState = false;
+const annotationStore = new AnnotationStore();
+const appStore = new AppStore();
+const collectionStore = appStore.collections;
+let referenceIndex = null;
+
+// Search hits (document nodes) and the one currently shown
+let searchQuery = '';
+let searchHits = [];
+let searchPosition = -1;
+let searchRequest = 0;
 
 async function init() {
+  renderOfflineIndicator();
+
   try {
     console.log('Fetching data from:', CONFIG.dataPath);
     const response = await fetch(CONFIG.dataPath, {
@@ -64,6 +95,18 @@ async function init() {
 
     buildUI();
     createVisualization();
+    renderCompareTray(appStore);
+
+    // Restore state from a shared link, and on back/forward navigation
+    restoreTreeState(readHashState());
+    onHashStateChange(restoreTreeState);
+
+    // Follow documents selected in the other views
+    if (!openDocPath) revealSelection(appStore.selection);
+    document.addEventListener('storeChanged', (event) => {
+      const { changed, state, local } = event.detail;
+      if (!local && changed.includes('selection')) revealSelection(state.selection);
+    });
 
   } catch (error) {
     console.error('Error loading data:', error);
@@ -95,6 +138,19 @@ function buildUI() {
           </div>
 
           <button id="reset-btn" onclick="resetTree()">↻ Reset View</button>
+          <button id="notes-btn" onclick="toggleNotes()">📝 Notes</button>
+
+          <form id="tree-search" class="tree-search">
+            <input type="search" id="tree-search-input" placeholder="Find by title, addressee or preview" aria-label="Find documents">
+            <label class="tree-search-full-text" title="Also search the documents' full text, downloaded on first use">
+              <input type="checkbox" id="tree-search-full-text"> Search full text
+            </label>
+            <div class="tree-search-controls">
+              <button type="button" id="tree-search-prev" title="Previous match (Shift+Enter)" disabled>‹</button>
+              <button type="button" id="tree-search-next" title="Next match (Enter)" disabled>›</button>
+              <span id="tree-search-status" class="tree-search-status"></span>
+            </div>
+          </form>
 
           <div class="stats" id="stats">
             <div class="stat-item">
@@ -116,6 +172,11 @@ function buildUI() {
         <div id="tree-canvas"></div>
       </div>
 
+      <div id="notes-drawer" class="hidden">
+        <div class="viewer-header">My Notes</div>
+        <div id="notes-panel"></div>
+      </div>
+
       <div id="document-viewer">
         <div class="viewer-header">Document Viewer</div>
         <div id="document-content">
@@ -130,9 +191,200 @@ function buildUI() {
     </div>
   `;
 
+  renderNotesPanel(document.getElementById('notes-panel'), annotationStore, { onOpen: openAnnotation });
+  setupSearch();
+
   updateStats();
 }
 
+function setupSearch() {
+  const input = document.getElementById('tree-search-input');
+
+  // Enter searches, or steps to the next hit when the query hasn't changed
+  document.getElementById('tree-search').addEventListener('submit', (event) => {
+    event.preventDefault();
+    if (input.value.trim() === searchQuery && searchHits.length) {
+      stepSearch(1);
+    } else {
+      runSearch(input.value);
+    }
+  });
+  input.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter' && event.shiftKey) {
+      event.preventDefault();
+      stepSearch(-1);
+    }
+  });
+  input.addEventListener('search', () => {
+    if (!input.value) runSearch('');
+  });
+  document.getElementById('tree-search-full-text').addEventListener('change', () => {
+    if (input.value.trim()) runSearch(input.value);
+  });
+  document.getElementById('tree-search-prev').addEventListener('click', () => stepSearch(-1));
+  document.getElementById('tree-search-next').addEventListener('click', () => stepSearch(1));
+}
+
+/**
+ * Documents whose title, addressee and preview (or full text, when loaded into `texts`,
+ * a Map of tree document to text) contain every word of the query, title matches first
+ */
+function findDocuments(query, texts) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  if (words.length === 0) return [];
+
+  const fields = (doc) => [doc.title, doc.addressee, texts.get(doc) ?? doc.preview]
+    .map(value => String(value || '').toLowerCase());
+  return collectDocuments()
+    .map(node => {
+      const [title, addressee, text] = fields(node.data.doc);
+      const all = `${title} ${addressee} ${text}`;
+      if (!words.every(word => all.includes(word))) return null;
+
+      const rank = words.every(word => title.includes(word)) ? 0
+        : words.every(word => `${title} ${addressee}`.includes(word)) ? 1
+        : 2;
+      return { node, rank };
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.rank - b.rank)
+    .map(hit => hit.node);
+}
+
+async function runSearch(query) {
+  const request = ++searchRequest;
+  searchQuery = query.trim();
+  searchHits = [];
+  searchPosition = -1;
+
+  // Full text is only downloaded when asked for, volume by volume
+  let texts = new Map();
+  if (searchQuery && document.getElementById('tree-search-full-text').checked) {
+    renderSearchStatus('Loading full text…');
+    texts = await loadDocumentTexts(collectDocuments().map(node => node.data.doc), {
+      key: doc => doc,
+      onProgress: (progress) => {
+        if (request === searchRequest) renderSearchStatus(`Loading full text… ${Math.round(100 * progress)}%`);
+      },
+      isCancelled: () => request !== searchRequest
+    });
+    // A newer search started while the texts loaded
+    if (request !== searchRequest) return;
+  }
+
+  searchHits = findDocuments(searchQuery, texts);
+  if (searchHits.length) {
+    stepSearch(1);
+  } else {
+    renderSearchStatus();
+    update(root);
+  }
+}
+
+function stepSearch(step) {
+  if (searchHits.length === 0) return;
+  searchPosition = (searchPosition + step + searchHits.length) % searchHits.length;
+  revealSearchHit(searchHits[searchPosition]);
+  renderSearchStatus();
+}
+
+function renderSearchStatus(message = null) {
+  const status = document.getElementById('tree-search-status');
+  status.textContent = message ? message
+    : !searchQuery ? ''
+    : searchHits.length ? `${searchPosition + 1} of ${searchHits.length.toLocaleString()}`
+    : 'No matches';
+
+  document.getElementById('tree-search-prev').disabled = searchHits.length < 2;
+  document.getElementById('tree-search-next').disabled = searchHits.length < 2;
+}
+
+/**
+ * Open only the hit's ancestor path, then pan and zoom the canvas onto it
+ */
+function revealSearchHit(docNode) {
+  root.descendants().forEach(d => {
+    if (d.depth > 0 && d.children) {
+      d._children = d.children;
+      d.children = null;
+    }
+  });
+  expandToNode(docNode.parent);
+  update(root);
+  showDocumentViewer(docNode);
+
+  // update() has laid the node out; x is vertical and y horizontal in this tree
+  const scale = Math.max(d3.zoomTransform(svg.node()).k, 1);
+  svg.transition()
+    .duration(duration)
+    .call(zoom.transform, d3.zoomIdentity
+      .translate(CONFIG.width / 2 - docNode.y * scale, CONFIG.height / 2 - docNode.x * scale)
+      .scale(scale));
+
+  saveTreeState();
+}
+
+window.toggleNotes = function() {
+  document.getElementById('notes-drawer').classList.toggle('hidden');
+};
+
+function openAnnotation(annotation) {
+  const docNode = findDocument(doc => getDocumentKey(doc) === annotation.docKey);
+  if (!docNode) {
+    console.error('Annotated document not found in the tree:', annotation.docTitle);
+    return;
+  }
+
+  expandToNode(docNode.parent);
+  update(root);
+  showDocumentViewer(docNode, { annotationId: annotation.id });
+  saveTreeState({ push: true });
+}
+
+function findDocument(match) {
+  const stack = [root];
+  while (stack.length) {
+    const node = stack.pop();
+    if (node.data.doc && match(node.data.doc)) return node;
+    stack.push(...(node.children || node._children || []));
+  }
+  return null;
+}
+
+// Every document node, including those under collapsed branches
+function collectDocuments() {
+  const documents = [];
+  const stack = [root];
+  while (stack.length) {
+    const node = stack.pop();
+    if (node.data.doc) documents.push(node);
+    stack.push(...(node.children || node._children || []));
+  }
+  return documents;
+}
+
+function openReferencedDocument(doc) {
+  const docNode = findDocument(d => d === doc);
+  if (!docNode) return;
+
+  expandToNode(docNode.parent);
+  update(root);
+  showDocumentViewer(docNode);
+  saveTreeState({ push: true });
+}
+
+function revealSelection(selection) {
+  if (selection?.kind !== 'document') return;
+
+  const docNode = findDocument(doc => matchesSelection(doc, selection));
+  if (!docNode) return;
+
+  expandToNode(docNode.parent);
+  update(root);
+  showDocumentViewer(docNode, { select: false });
+  saveTreeState();
+}
+
 window.resetTree = function() {
   console.log('Resetting tree to initial state');
 
@@ -145,6 +397,23 @@ window.resetTree = function() {
   });
 
   // Clear document viewer
+  clearDocumentViewer();
+
+  // Reset zoom and center
+  const container = document.getElementById('tree-canvas');
+  const height = container.clientHeight;
+
+  svg.transition()
+    .duration(750)
+    .call(zoom.transform, d3.zoomIdentity.translate(100, height / 2));
+
+  update(root);
+  saveTreeState({ push: true });
+};
+
+function clearDocumentViewer() {
+  openDocPath = null;
+
   const content = document.getElementById('document-content');
   content.innerHTML = `
     <div style="text-align: center; padding: 3rem 2rem; color: var(--color-text-dim);">
@@ -154,17 +423,89 @@ window.resetTree = function() {
       </p>
     </div>
   `;
+}
 
-  // Reset zoom and center
-  const container = document.getElementById('tree-canvas');
-  const height = container.clientHeight;
+// Tree nodes are addressed by child index paths, e.g. "2.0.5"
+function getIndexPath(d) {
+  const path = [];
+  let current = d;
+  while (current.parent) {
+    const siblings = current.parent.children || current.parent._children;
+    path.unshift(siblings.indexOf(current));
+    current = current.parent;
+  }
+  return path.join('.');
+}
 
-  svg.transition()
-    .duration(750)
-    .call(zoom.transform, d3.zoomIdentity.translate(100, height / 2));
+function findByIndexPath(path) {
+  let node = root;
+  for (const index of path.split('.').map(Number)) {
+    const children = node.children || node._children;
+    if (!children || !children[index]) return null;
+    node = children[index];
+  }
+  return node;
+}
 
-  update(root);
-};
+function expandToNode(node) {
+  node.ancestors().forEach(d => {
+    if (d._children) {
+      d.children = d._children;
+      d._children = null;
+    }
+  });
+}
+
+function saveTreeState(options = {}) {
+  if (restoringState) return;
+
+  // Only the deepest expanded nodes are stored - their ancestors are implied
+  const expanded = root.descendants()
+    .filter(d => d.depth > 0 && d.children && !d.children.some(c => c.children))
+    .map(getIndexPath);
+
+  writeHashState({
+    expanded,
+    doc: openDocPath,
+    zoom: formatTransform(d3.zoomTransform(svg.node()))
+  }, options);
+}
+
+function restoreTreeState(state) {
+  restoringState = true;
+
+  try {
+    // Collapse everything, then expand the stored paths
+    root.descendants().forEach(d => {
+      if (d.depth > 0 && d.children) {
+        d._children = d.children;
+        d.children = null;
+      }
+    });
+
+    parseList(state.expanded).forEach(path => {
+      const node = findByIndexPath(path);
+      if (node) expandToNode(node);
+    });
+
+    const docNode = state.doc ? findByIndexPath(state.doc) : null;
+    if (docNode?.data.doc) {
+      expandToNode(docNode.parent);
+      showDocumentViewer(docNode);
+    } else {
+      clearDocumentViewer();
+    }
+
+    update(root);
+
+    const transform = parseTransform(state.zoom);
+    svg.call(zoom.transform, transform
+      ? d3.zoomIdentity.translate(transform.x, transform.y).scale(transform.k)
+      : d3.zoomIdentity.translate(100, CONFIG.height / 2));
+  } finally {
+    restoringState = false;
+  }
+}
 
 function updateStats() {
   // Count all documents in the tree
@@ -209,6 +550,9 @@ function createVisualization() {
   svg.call(zoom);
   svg.call(zoom.transform, d3.zoomIdentity.translate(100, height / 2));
 
+  // Zoom changes update the shareable URL
+  zoom.on('end.state', () => saveTreeState());
+
   // Create hierarchy
   root = d3.hierarchy(treeData);
 
@@ -347,6 +691,11 @@ function update(source) {
   nodeUpdate.select('text')
     .style('fill-opacity', 1);
 
+  const hits = new Set(searchHits);
+  nodeUpdate
+    .classed('search-hit', d => hits.has(d))
+    .classed('search-current', d => d === searchHits[searchPosition]);
+
   // Remove exiting nodes
   const nodeExit = node.exit()
     .transition()
@@ -383,6 +732,7 @@ function click(event, d) {
   if (d.data.doc) {
     console.log('Opening document viewer for:', d.data.name);
     showDocumentViewer(d);
+    saveTreeState({ push: true });
     return;
   }
 
@@ -400,6 +750,7 @@ function click(event, d) {
   }
 
   update(d);
+  saveTreeState({ push: true });
 }
 
 function getNodeColor(d) {
@@ -430,7 +781,7 @@ function getNodeColor(d) {
   return d3.color(baseColor).brighter(1.5);
 }
 
-function showDocumentViewer(doc) {
+function showDocumentViewer(doc, options = {}) {
   console.log('showDocumentViewer called with:', doc.data.name);
   console.log('Document data:', doc.data.doc);
 
@@ -514,6 +865,17 @@ function showDocumentViewer(doc) {
       ` : ''}
     </div>
 
+    <div class="bookmark-controls" id="bookmark-controls"></div>
+    <div class="offline-volume" id="offline-volume"></div>
+
+    <div class="citation">
+      <button class="btn-cite" id="cite-toggle">Cite</button>
+      <span class="compare-controls" id="compare-controls"></span>
+      <button class="btn-cite" data-show-view="graph">Show in Graph</button>
+      <button class="btn-cite" data-show-view="journey">Show on Map</button>
+      <div id="citation-box" class="citation-box hidden"></div>
+    </div>
+
     <div class="doc-section" style="margin-bottom: 2rem;">
       <h3 style="font-size: 0.9rem; color: var(--color-accent); text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 1rem; font-weight: 600;">Thematic Context</h3>
       <div class="theme-badges" style="display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem;">
@@ -535,17 +897,94 @@ function showDocumentViewer(doc) {
 
     <div class="doc-section" style="margin-bottom: 2rem;">
       <h3 style="font-size: 0.9rem; color: var(--color-accent); text-transform: uppercase; letter-spacing: 0.5px; margin-bottom: 1rem; font-weight: 600;">Full Content</h3>
-      <div class="doc-content" style="line-height: 1.8; color: var(--color-text); font-size: 0.95rem; white-space: pre-wrap;">${doc.data.doc.fullContent || doc.data.doc.preview}</div>
+      <div class="doc-content" id="document-text" style="line-height: 1.8; color: var(--color-text); font-size: 0.95rem; opacity: 0.6;">${formatContent(doc.data.doc.preview)}</div>
+      <div id="document-footnotes"></div>
     </div>
   `;
 
   content.innerHTML = htmlContent;
   console.log('Content HTML set, length:', htmlContent.length);
 
+  document.getElementById('cite-toggle').addEventListener('click', () => {
+    const box = document.getElementById('citation-box');
+    if (box.classList.toggle('hidden')) return;
+    renderCitationBox(box, doc.data.doc);
+  });
+
+  // The other views follow the selection through the shared store
+  content.querySelectorAll('[data-show-view]').forEach(button => {
+    button.addEventListener('click', () => appStore.showView(button.dataset.showView));
+  });
+  if (options.select !== false) {
+    appStore.select(documentSelection(doc.data.doc));
+  }
+
+  renderBookmarkControls(document.getElementById('bookmark-controls'), documentItem(doc.data.doc), collectionStore);
+  renderCompareButton(document.getElementById('compare-controls'), documentItem(doc.data.doc), appStore);
+  renderVolumeDownload(document.getElementById('offline-volume'), doc.data.doc.volume);
+
+  openDocPath = getIndexPath(doc);
+  showDocumentContent(doc, options);
+
   // Document viewer is now always visible - no need to toggle visibility
   console.log('Document content updated');
 }
 
+async function renderVolumeDownload(container, volume) {
+  if (!volume) return;
+
+  const downloaded = await isVolumeDownloaded(volume);
+  container.innerHTML = downloaded
+    ? `<span class="offline-volume-saved">✓ Vol ${volume} saved for offline reading</span>`
+    : `<button class="offline-volume-download">Download Vol ${volume} for offline</button>`;
+
+  container.querySelector('.offline-volume-download')?.addEventListener('click', async (event) => {
+    event.target.disabled = true;
+    event.target.textContent = `Downloading Vol ${volume}...`;
+    try {
+      await downloadVolume(volume);
+      renderVolumeDownload(container, volume);
+    } catch (error) {
+      console.error('Failed to download volume:', error);
+      event.target.disabled = false;
+      event.target.textContent = `Download Vol ${volume} for offline`;
+    }
+  });
+}
+
+async function showDocumentContent(doc, options = {}) {
+  // The preview is shown until the document's volume shard arrives
+  const path = openDocPath;
+  let fullContent;
+  let footnotes = null;
+  try {
+    ({ fullContent, footnotes } = await loadDocumentContent(doc.data.doc));
+  } catch (error) {
+    console.error('Failed to load document text:', error);
+    fullContent = doc.data.doc.preview;
+  }
+
+  const textEl = document.getElementById('document-text');
+  if (!textEl || openDocPath !== path) return;
+
+  textEl.innerHTML = formatContent(fullContent);
+  textEl.style.opacity = '';
+
+  // Footnote pop-overs, and "Vide …" references that open the referenced document
+  if (!referenceIndex) {
+    referenceIndex = new ReferenceIndex(collectDocuments().map(node => node.data.doc));
+  }
+  const footnotesEl = document.getElementById('document-footnotes');
+  footnotesEl.innerHTML = formatFootnotes(footnotes, referenceIndex);
+  const footnoteOptions = { references: referenceIndex, onOpenDocument: openReferencedDocument };
+  attachFootnotes(textEl, footnotes, footnoteOptions);
+  attachFootnotes(footnotesEl, footnotes, footnoteOptions);
+
+  attachAnnotator(textEl, doc.data.doc, annotationStore, {
+    focus: options.annotationId
+  });
+}
+
 // Handle window resize
 let resizeTimeout;
 window.addEventListener('resize', () => {
@@ -568,4 +1007,5 @@ window.addEventListener('resize', () => {
 });
 
 // Initialize
+registerServiceWorker();
 init();
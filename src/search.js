@@ -0,0 +1,228 @@
+/**
+ * Full-text Search Index for Gandhi Knowledge Graph
+ * Fuzzy, ranked search over documents, themes, people and events using fuse.js
+ */
+
+import Fuse from 'fuse.js';
+
+// Weighted fields searched for every record
+const SEARCH_KEYS = [
+  { name: 'title', weight: 3 },
+  { name: 'addressee', weight: 2 },
+  { name: 'people', weight: 1.5 },
+  { name: 'keywords', weight: 1.5 },
+  { name: 'source', weight: 1 },
+  { name: 'writtenFrom', weight: 1 },
+  { name: 'contentPreview', weight: 1 }
+];
+
+const FIELD_LABELS = {
+  title: 'Title',
+  addressee: 'Addressee',
+  people: 'Person',
+  keywords: 'Theme',
+  source: 'Source',
+  writtenFrom: 'Written from',
+  contentPreview: 'Preview',
+  fullContent: 'Text'
+};
+
+const SNIPPET_RADIUS = 60;
+
+export class SearchIndex {
+  constructor(nodes, edges, options = {}) {
+    this.threshold = options.threshold ?? 0.3;
+    this.nodesById = new Map(nodes.map(n => [n.id, n]));
+
+    // Records and a prebuilt index can be handed over from the data worker
+    this.records = options.records || this.buildRecords(nodes, edges);
+
+    this.fuse = new Fuse(this.records, {
+      keys: SEARCH_KEYS,
+      includeScore: true,
+      includeMatches: true,
+      ignoreLocation: true,
+      ignoreDiacritics: true,
+      threshold: this.threshold,
+      minMatchCharLength: 3
+    }, options.index ? Fuse.parseIndex(options.index) : undefined);
+  }
+
+  /**
+   * Plain data that can be posted from a worker and passed back as options
+   */
+  serialize() {
+    return {
+      records: this.records,
+      index: this.fuse.getIndex().toJSON()
+    };
+  }
+
+  buildRecords(nodes, edges) {
+    // Documents inherit the names of people they mention and the keywords of themes they discuss
+    const people = new Map();
+    const keywords = new Map();
+
+    edges.forEach(edge => {
+      const sourceId = typeof edge.source === 'object' ? edge.source.id : edge.source;
+      const targetId = typeof edge.target === 'object' ? edge.target.id : edge.target;
+      const target = this.nodesById.get(targetId);
+      if (!target) return;
+
+      if (edge.type === 'MENTIONS' && target.type === 'person') {
+        if (!people.has(sourceId)) people.set(sourceId, []);
+        people.get(sourceId).push(target.properties?.name || target.label);
+      } else if (edge.type === 'DISCUSSES' && target.type === 'theme') {
+        if (!keywords.has(sourceId)) keywords.set(sourceId, []);
+        keywords.get(sourceId).push(...(target.properties?.keywords || []));
+      }
+    });
+
+    return nodes.map(node => {
+      const props = node.properties || {};
+
+      if (node.type === 'document') {
+        return {
+          id: node.id,
+          title: props.title || node.label,
+          addressee: props.addressee || '',
+          source: props.source || '',
+          writtenFrom: props.writtenFrom || '',
+          contentPreview: props.contentPreview || '',
+          people: people.get(node.id) || [],
+          keywords: keywords.get(node.id) || []
+        };
+      }
+
+      return {
+        id: node.id,
+        title: props.name || props.decade || node.label,
+        people: node.type === 'person' ? [props.name || node.label] : [],
+        keywords: props.keywords || []
+      };
+    });
+  }
+
+  search(query, limit = 20) {
+    const variants = transliterationVariants(query);
+    const best = new Map();
+
+    // Run each spelling variant and keep the best score per record
+    variants.forEach(variant => {
+      this.fuse.search(variant).forEach(result => {
+        const existing = best.get(result.item.id);
+        if (!existing || result.score < existing.score) {
+          best.set(result.item.id, result);
+        }
+      });
+    });
+
+    return [...best.values()]
+      .sort((a, b) => a.score - b.score)
+      .slice(0, limit)
+      .map(result => {
+        const match = pickBestMatch(result.matches);
+        return {
+          node: this.nodesById.get(result.item.id),
+          score: result.score,
+          field: match ? FIELD_LABELS[match.key] || match.key : null,
+          snippet: match ? highlightMatch(match.value, longestRange(match.indices)) : ''
+        };
+      });
+  }
+
+  /**
+   * Documents whose full text (Map of node id to text, fetched on demand) contains the
+   * query or one of its spelling variants. Exact rather than fuzzy: fuzzy matching over
+   * whole documents is too slow to run on every keystroke.
+   */
+  searchText(query, texts, limit = 20) {
+    const patterns = transliterationVariants(query).map(variant => new RegExp(escapeRegExp(variant), 'i'));
+    const results = [];
+
+    for (const [id, text] of texts) {
+      const node = this.nodesById.get(id);
+      const match = node && patterns.map(pattern => pattern.exec(text)).find(Boolean);
+      if (!match) continue;
+
+      results.push({
+        node,
+        score: 1,
+        field: FIELD_LABELS.fullContent,
+        snippet: highlightMatch(text, [match.index, match.index + match[0].length - 1])
+      });
+      if (results.length >= limit) break;
+    }
+    return results;
+  }
+}
+
+/**
+ * Spelling variants for common Indian-language transliteration differences,
+ * e.g. "satyagrah" / "satyagraha", "Ramdaas" / "Ramdas", "Sevagram" / "Sewagram".
+ */
+export function transliterationVariants(query) {
+  const base = query.toLowerCase().trim();
+  const variants = new Set([base]);
+
+  // Long vowels written doubled or single
+  variants.add(base.replace(/aa/g, 'a').replace(/ee/g, 'i').replace(/oo/g, 'u'));
+
+  // Inherent final 'a' dropped or added
+  variants.add(base.replace(/\b([a-z]{4,}[^aeiou\s])a\b/g, '$1'));
+  variants.add(base.replace(/\b([a-z]{3,}[^aeiou\s])\b/g, '$1a'));
+
+  // v/w are used interchangeably
+  variants.add(base.replace(/w/g, 'v'));
+  variants.add(base.replace(/v/g, 'w'));
+
+  return [...variants].filter(v => v.length >= 2);
+}
+
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function pickBestMatch(matches = []) {
+  let best = null;
+  let bestLength = 0;
+
+  matches.forEach(match => {
+    const [start, end] = longestRange(match.indices);
+    const length = end - start + 1;
+    if (length > bestLength) {
+      best = match;
+      bestLength = length;
+    }
+  });
+
+  return best;
+}
+
+function longestRange(indices = []) {
+  return indices.reduce((longest, range) =>
+    (range[1] - range[0]) > (longest[1] - longest[0]) ? range : longest,
+    indices[0] || [0, -1]
+  );
+}
+
+function highlightMatch(value, [start, end]) {
+  if (end < start) return escapeHtml(value.substring(0, SNIPPET_RADIUS * 2));
+
+  const from = Math.max(0, start - SNIPPET_RADIUS);
+  const to = Math.min(value.length, end + 1 + SNIPPET_RADIUS);
+
+  return (from > 0 ? '…' : '') +
+    escapeHtml(value.substring(from, start)) +
+    '<mark>' + escapeHtml(value.substring(start, end + 1)) + '</mark>' +
+    escapeHtml(value.substring(end + 1, to)) +
+    (to < value.length ? '…' : '');
+}
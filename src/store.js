@@ -0,0 +1,170 @@
+/**
+ * Shared Application Store
+ * The selected document/theme/person, filters, requested view and the documents being
+ * compared (see compare.js), shared between the
+ * shell (index.html) and the pages it embeds (radial tree, map journey).
+ *
+ * State lives in sessionStorage, so every frame in the tab sees the same values and
+ * other frames hear about changes through the `storage` event. Changes are announced
+ * with a 'storeChanged' event on document (detail.local is false for other frames' changes).
+ */
+
+import { getDocumentKey } from './annotations.js';
+import { CollectionStore } from './collections.js';
+
+const STORAGE_KEY = 'gandhi-app-state';
+
+export const VIEWS = ['themes', 'graph', 'correspondents', 'tree', 'journey', 'timeline', 'concordance', 'trends', 'cooccurrence', 'streams'];
+
+// Side-by-side columns get too narrow past this
+export const MAX_COMPARED = 4;
+
+const DEFAULT_STATE = {
+  view: 'themes',
+  selection: null,
+  filters: { yearRange: null },
+  compare: []
+};
+
+export class AppStore {
+  constructor(options = {}) {
+    this.shell = !!options.shell;
+    this.collections = new CollectionStore();
+    this.state = this.load();
+
+    window.addEventListener('storage', (event) => {
+      if (event.key !== STORAGE_KEY || event.storageArea !== sessionStorage) return;
+
+      const previous = this.state;
+      this.state = this.load();
+      const changed = Object.keys(DEFAULT_STATE).filter(key =>
+        JSON.stringify(previous[key]) !== JSON.stringify(this.state[key])
+      );
+      if (changed.length) this.notify(changed, false);
+    });
+  }
+
+  load() {
+    try {
+      return { ...DEFAULT_STATE, ...JSON.parse(sessionStorage.getItem(STORAGE_KEY) || '{}') };
+    } catch (error) {
+      console.error('Failed to read app state:', error);
+      return { ...DEFAULT_STATE };
+    }
+  }
+
+  get selection() {
+    return this.state.selection;
+  }
+
+  get filters() {
+    return this.state.filters;
+  }
+
+  select(selection) {
+    this.update({ selection });
+  }
+
+  setFilters(filters) {
+    this.update({ filters: { ...this.state.filters, ...filters } });
+  }
+
+  get compared() {
+    return this.state.compare;
+  }
+
+  isCompared(key) {
+    return this.state.compare.some(item => item.key === key);
+  }
+
+  /**
+   * Add a document (a collections documentItem) to the comparison, or take it out.
+   * The oldest is dropped once MAX_COMPARED are open.
+   */
+  toggleCompare(item) {
+    const compare = this.isCompared(item.key)
+      ? this.state.compare.filter(i => i.key !== item.key)
+      : [...this.state.compare, item].slice(-MAX_COMPARED);
+    this.update({ compare });
+  }
+
+  clearCompare() {
+    this.update({ compare: [] });
+  }
+
+  /**
+   * Ask the shell to switch views. Pages opened on their own rather than
+   * inside the shell navigate to it instead.
+   */
+  showView(view) {
+    this.update({ view });
+    if (!this.shell && !isEmbedded()) {
+      window.location.href = `/#view=${view}`;
+    }
+  }
+
+  update(changes) {
+    const changed = Object.keys(changes).filter(key =>
+      JSON.stringify(changes[key]) !== JSON.stringify(this.state[key])
+    );
+    if (changed.length === 0) return;
+
+    this.state = { ...this.state, ...changes };
+    try {
+      sessionStorage.setItem(STORAGE_KEY, JSON.stringify(this.state));
+    } catch (error) {
+      console.error('Failed to save app state:', error);
+    }
+    this.notify(changed, true);
+  }
+
+  notify(changed, local) {
+    document.dispatchEvent(new CustomEvent('storeChanged', {
+      detail: { changed, state: this.state, local }
+    }));
+  }
+}
+
+export function isEmbedded() {
+  return window.parent !== window;
+}
+
+/**
+ * Selections identify documents by title and date so they can be found in every dataset
+ */
+export function documentSelection(doc) {
+  const props = doc.properties || doc;
+  return {
+    kind: 'document',
+    key: getDocumentKey(doc),
+    label: String(props.title || doc.label || 'Untitled').replace(/\s+/g, ' ').trim(),
+    year: getDocumentYear(props)
+  };
+}
+
+export function entitySelection(node) {
+  return {
+    kind: node.type,
+    key: node.id,
+    label: node.properties?.name || node.label
+  };
+}
+
+/**
+ * Whether a document from any dataset is the selected one. Falls back to title and year
+ * because the journey data writes dates differently from the graph and tree.
+ */
+export function matchesSelection(doc, selection) {
+  if (!selection || selection.kind !== 'document') return false;
+  if (getDocumentKey(doc) === selection.key) return true;
+
+  const props = doc.properties || doc;
+  const title = String(props.title || doc.label || '').replace(/\s+/g, ' ').trim().toUpperCase();
+  return title === selection.key.split('|')[0] && getDocumentYear(props) === selection.year;
+}
+
+function getDocumentYear(props) {
+  if (props.year) return parseInt(props.year);
+  const match = String(props.date || '').match(/\d{4}/);
+  return match ? parseInt(match[0]) : null;
+}
@@ -0,0 +1,224 @@
+/**
+ * Theme Streamgraph for Gandhi Knowledge Graph
+ * How much each theme is discussed year by year (DISCUSSES links from that year's
+ * documents), stacked by category. Clicking a stream lists the theme's documents
+ * from the year under the pointer.
+ */
+
+import * as d3 from 'd3';
+import { TIMELINE_START, TIMELINE_END } from './graph.js';
+import { escapeHtml } from './search.js';
+import { formatDocumentList, hideTooltip, onDocumentClick, showTooltip } from './chart_helpers.js';
+
+/**
+ * Themes in hierarchy order (category, subcategory), each with its category's color
+ */
+export function flattenThemeHierarchy(themeHierarchy, colorScheme = {}) {
+  return Object.entries(themeHierarchy).flatMap(([categoryKey, category]) => {
+    const themes = Object.values(category.themes).flatMap(subcategory => subcategory.subthemes);
+    const base = d3.hsl(colorScheme[categoryKey] || category.color);
+
+    // Shades of the category color tell its themes apart
+    return themes.map((theme, i) => ({
+      id: theme.id,
+      name: theme.name,
+      category: categoryKey,
+      categoryName: category.name,
+      categoryColor: base.formatHex(),
+      color: d3.hsl(base.h, base.s, Math.max(0.2, Math.min(0.8, base.l + (i - (themes.length - 1) / 2) * 0.04))).formatHex()
+    }));
+  });
+}
+
+/**
+ * Rows of DISCUSSES link counts per year, one column per theme id, and the documents
+ * behind each count keyed by `${themeId}|${year}`
+ */
+export function computeThemeStreams(themes, documents, documentThemes, years) {
+  const rows = years.map(year => Object.fromEntries([['year', year], ...themes.map(theme => [theme.id, 0])]));
+  const rowsByYear = new Map(rows.map(row => [row.year, row]));
+  const documentsByKey = new Map();
+
+  documents.forEach(doc => {
+    const row = rowsByYear.get(parseInt(doc.properties.year));
+    if (!row) return;
+
+    (documentThemes.get(doc.id) || []).forEach(theme => {
+      if (!(theme.id in row)) return;
+      row[theme.id]++;
+
+      const key = `${theme.id}|${row.year}`;
+      if (!documentsByKey.has(key)) documentsByKey.set(key, new Set());
+      documentsByKey.get(key).add(doc);
+    });
+  });
+
+  return { rows, documentsByKey };
+}
+
+export class ThemeStreamgraph {
+  constructor(containerId, options = {}) {
+    this.container = d3.select(containerId);
+    this.onOpenDocument = options.onOpenDocument || (() => {});
+    this.documentThemes = options.documentThemes || new Map();
+    this.themes = flattenThemeHierarchy(options.themeHierarchy || {}, options.colorScheme);
+    this.years = d3.range(TIMELINE_START, TIMELINE_END + 1);
+    this.documents = [];
+    this.yearRange = null;
+    this.streams = computeThemeStreams(this.themes, [], this.documentThemes, this.years);
+    this.selected = null;
+    this.margin = { top: 20, right: 30, bottom: 40, left: 30 };
+
+    const categories = [...new Map(this.themes.map(theme => [theme.category, theme])).values()];
+    this.container.html(`
+      <div class="streams-toolbar">
+        <div class="streams-legend">
+          ${categories.map(theme => `
+            <span class="streams-swatch" style="--swatch-color: ${theme.categoryColor}">${escapeHtml(theme.categoryName)}</span>
+          `).join('')}
+        </div>
+        <span class="streams-status"></span>
+      </div>
+      <svg class="streams-svg"></svg>
+      <div class="streams-documents"></div>
+    `);
+
+    this.svg = this.container.select('.streams-svg');
+    this.status = this.container.select('.streams-status');
+    this.documentList = this.container.select('.streams-documents');
+
+    onDocumentClick(this.documentList.node(), () => this.documents, this.onOpenDocument);
+  }
+
+  updateDimensions() {
+    const rect = this.svg.node().getBoundingClientRect();
+    this.width = rect.width || 800;
+    this.height = rect.height || 400;
+  }
+
+  resize() {
+    this.updateDimensions();
+    this.render();
+  }
+
+  /**
+   * Documents from every year are counted; outside `yearRange` the streams are dimmed
+   */
+  setDocuments(documents, yearRange = null) {
+    this.documents = documents;
+    this.yearRange = yearRange;
+    this.streams = computeThemeStreams(this.themes, documents, this.documentThemes, this.years);
+    this.render();
+  }
+
+  render() {
+    const { width, height, margin } = this;
+    const { rows } = this.streams;
+    this.svg.attr('width', width).attr('height', height);
+    this.svg.selectAll('*').remove();
+    this.renderDocuments();
+
+    const total = d3.sum(rows, row => d3.sum(this.themes, theme => row[theme.id]));
+    this.status.text(`${total.toLocaleString()} theme discussions in ${this.documents.length.toLocaleString()} documents`);
+    if (total === 0) return;
+
+    // Hierarchy order keeps each category's streams together
+    const series = d3.stack()
+      .keys(this.themes.map(theme => theme.id))
+      .offset(d3.stackOffsetWiggle)
+      .order(d3.stackOrderNone)(rows);
+    const themesById = new Map(this.themes.map(theme => [theme.id, theme]));
+
+    const x = d3.scaleLinear()
+      .domain(d3.extent(this.years))
+      .range([margin.left, width - margin.right]);
+    const y = d3.scaleLinear()
+      .domain([d3.min(series, s => d3.min(s, d => d[0])), d3.max(series, s => d3.max(s, d => d[1]))])
+      .range([height - margin.bottom, margin.top]);
+    const yearAt = (event) => Math.max(this.years[0], Math.min(this.years[this.years.length - 1], Math.round(x.invert(d3.pointer(event, this.svg.node())[0]))));
+
+    this.svg.append('g')
+      .attr('class', 'streams-axis')
+      .attr('transform', `translate(0,${height - margin.bottom})`)
+      .call(d3.axisBottom(x).tickFormat(d3.format('d')).tickSizeOuter(0));
+
+    const area = d3.area()
+      .x(d => x(d.data.year))
+      .y0(d => y(d[0]))
+      .y1(d => y(d[1]))
+      .curve(d3.curveBasis);
+
+    const streams = this.svg.append('g')
+      .selectAll('path')
+      .data(series)
+      .join('path')
+      .attr('class', 'streams-stream')
+      .classed('selected', s => this.selected?.themeId === s.key)
+      .attr('fill', s => themesById.get(s.key).color)
+      .attr('d', area)
+      .on('mousemove', (event, s) => {
+        streams.classed('faded', other => other !== s);
+        this.showStreamTooltip(event, themesById.get(s.key), yearAt(event));
+      })
+      .on('mouseleave', () => {
+        streams.classed('faded', false);
+        hideTooltip();
+      })
+      .on('click', (event, s) => {
+        const year = yearAt(event);
+        const same = this.selected?.themeId === s.key && this.selected?.year === year;
+        this.selected = same ? null : { themeId: s.key, year };
+        this.render();
+      });
+
+    if (this.yearRange) {
+      const [start, end] = this.yearRange;
+      [[x.range()[0], x(start)], [x(end), x.range()[1]]].forEach(([x0, x1]) => {
+        if (x1 <= x0) return;
+        this.svg.append('rect')
+          .attr('class', 'streams-outside')
+          .attr('x', x0)
+          .attr('y', margin.top)
+          .attr('width', x1 - x0)
+          .attr('height', height - margin.top - margin.bottom);
+      });
+    }
+
+    if (this.selected) {
+      this.svg.append('line')
+        .attr('class', 'streams-marker')
+        .attr('x1', x(this.selected.year))
+        .attr('x2', x(this.selected.year))
+        .attr('y1', margin.top)
+        .attr('y2', height - margin.bottom);
+    }
+  }
+
+  renderDocuments() {
+    if (!this.selected) {
+      this.documentList.html('<p class="streams-hint">Click a stream to list that theme\'s documents from the year.</p>');
+      return;
+    }
+
+    const { themeId, year } = this.selected;
+    const theme = this.themes.find(t => t.id === themeId);
+    const documents = [...(this.streams.documentsByKey.get(`${themeId}|${year}`) || [])];
+
+    this.documentList.html(`
+      <h3>${escapeHtml(theme.name)} in ${year}</h3>
+      ${documents.length ? formatDocumentList(documents) : '<p class="streams-hint">No documents discuss this theme in that year.</p>'}
+    `);
+  }
+
+  showStreamTooltip(event, theme, year) {
+    const row = this.streams.rows.find(r => r.year === year);
+    const total = d3.sum(this.streams.rows, r => r[theme.id]);
+
+    showTooltip(event, `
+      <strong>${escapeHtml(theme.name)}</strong><br/>
+      ${escapeHtml(theme.categoryName)}<br/>
+      ${year}: ${row?.[theme.id] || 0} discussions<br/>
+      All years: ${total}
+    `);
+  }
+}
@@ -0,0 +1,164 @@
+/**
+ * Document Timeline for Gandhi Knowledge Graph
+ * Documents per year, stacked by document type. Brushing a span of years
+ * dispatches 'timelineBrushed' so the year range filter can follow it.
+ */
+
+import * as d3 from 'd3';
+import { TIMELINE_START, TIMELINE_END } from './graph.js';
+import { escapeHtml } from './search.js';
+import { hideTooltip, showTooltip } from './chart_helpers.js';
+
+// The most common document types get their own color, the rest are grouped
+const MAX_TYPES = 6;
+const OTHER_TYPE = 'OTHER';
+
+export class DocumentTimeline {
+  constructor(containerId) {
+    this.container = d3.select(containerId);
+    this.svg = this.container.select('svg');
+    this.documents = [];
+    this.yearRange = null;
+    this.margin = { top: 70, right: 30, bottom: 40, left: 50 };
+
+    this.updateDimensions();
+  }
+
+  updateDimensions() {
+    const rect = this.container.node().getBoundingClientRect();
+    this.width = rect.width || 800;
+    this.height = rect.height || 600;
+  }
+
+  resize() {
+    this.updateDimensions();
+    this.render();
+  }
+
+  setDocuments(documents, yearRange = null) {
+    this.documents = documents;
+    this.yearRange = yearRange;
+    this.render();
+  }
+
+  render() {
+    const { width, height, margin } = this;
+    this.svg.attr('width', width).attr('height', height);
+    this.svg.selectAll('*').remove();
+
+    const typeCounts = d3.rollup(this.documents, v => v.length, d => d.properties.docType || OTHER_TYPE);
+    const topTypes = [...typeCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_TYPES)
+      .map(([type]) => type);
+    const types = typeCounts.size > MAX_TYPES ? [...topTypes, OTHER_TYPE] : topTypes;
+    const typeOf = (doc) => topTypes.includes(doc.properties.docType) ? doc.properties.docType : OTHER_TYPE;
+
+    const years = d3.range(TIMELINE_START, TIMELINE_END + 1);
+    const counts = d3.rollup(this.documents, v => v.length, d => d.properties.year, typeOf);
+    const rows = years.map(year => {
+      const row = { year };
+      types.forEach(type => { row[type] = counts.get(year)?.get(type) || 0; });
+      return row;
+    });
+
+    const series = d3.stack().keys(types)(rows);
+    const color = d3.scaleOrdinal(types, d3.schemeTableau10);
+
+    const x = d3.scaleBand()
+      .domain(years)
+      .range([margin.left, width - margin.right])
+      .padding(0.15);
+
+    const y = d3.scaleLinear()
+      .domain([0, d3.max(rows, row => d3.sum(types, type => row[type])) || 1])
+      .nice()
+      .range([height - margin.bottom, margin.top]);
+
+    this.svg.append('g')
+      .attr('class', 'timeline-axis')
+      .attr('transform', `translate(0,${height - margin.bottom})`)
+      .call(d3.axisBottom(x).tickValues(years.filter(year => year % 5 === 0)).tickSizeOuter(0));
+
+    this.svg.append('g')
+      .attr('class', 'timeline-axis')
+      .attr('transform', `translate(${margin.left},0)`)
+      .call(d3.axisLeft(y).ticks(5));
+
+    this.svg.append('g')
+      .selectAll('g')
+      .data(series)
+      .join('g')
+      .attr('fill', d => color(d.key))
+      .selectAll('rect')
+      .data(d => d)
+      .join('rect')
+      .attr('class', 'timeline-bar')
+      .attr('x', d => x(d.data.year))
+      .attr('y', d => y(d[1]))
+      .attr('width', x.bandwidth())
+      .attr('height', d => y(d[0]) - y(d[1]));
+
+    this.renderLegend(types, color);
+    this.renderBrush(x, rows, types);
+  }
+
+  renderLegend(types, color) {
+    const legend = this.svg.append('g')
+      .attr('class', 'timeline-legend')
+      .attr('transform', `translate(${this.margin.left},${this.margin.top - 24})`);
+
+    let offset = 0;
+    types.forEach(type => {
+      const item = legend.append('g').attr('transform', `translate(${offset},0)`);
+      item.append('rect').attr('width', 10).attr('height', 10).attr('y', -9).attr('fill', color(type));
+      const label = item.append('text').attr('x', 14).text(type.toLowerCase());
+      offset += 14 + label.node().getComputedTextLength() + 16;
+    });
+  }
+
+  renderBrush(x, rows, types) {
+    const years = rows.map(row => row.year);
+    const [top, bottom] = [this.margin.top, this.height - this.margin.bottom];
+    const yearAt = (px) => years[Math.max(0, Math.min(years.length - 1, Math.floor((px - x.range()[0]) / x.step())))];
+
+    const brush = d3.brushX()
+      .extent([[x.range()[0], top], [x.range()[1], bottom]])
+      .on('end', (event) => {
+        // Programmatic moves (below) have no source event
+        if (!event.sourceEvent) return;
+
+        const yearRange = event.selection
+          ? [yearAt(event.selection[0]), yearAt(event.selection[1] - 1)]
+          : null;
+
+        document.dispatchEvent(new CustomEvent('timelineBrushed', {
+          detail: { yearRange }
+        }));
+      });
+
+    // The brush covers the bars, so it also drives the per-year tooltip
+    const brushGroup = this.svg.append('g')
+      .attr('class', 'timeline-brush')
+      .call(brush)
+      .on('mousemove.tooltip', (event) => {
+        const year = yearAt(d3.pointer(event)[0]);
+        this.showYearTooltip(event, rows[years.indexOf(year)], types);
+      })
+      .on('mouseleave.tooltip', () => hideTooltip());
+
+    if (this.yearRange) {
+      const [start, end] = this.yearRange;
+      brushGroup.call(brush.move, [x(start), x(end) + x.bandwidth()]);
+    }
+  }
+
+  showYearTooltip(event, row, types) {
+    const total = d3.sum(types, type => row[type]);
+
+    showTooltip(event, `
+      <strong>${row.year}</strong> – ${total} documents<br/>
+      ${types.filter(type => row[type] > 0).map(type => `${escapeHtml(type.toLowerCase())}: ${row[type]}`).join('<br/>')}
+    `);
+  }
+}
@@ -0,0 +1,77 @@
+/**
+ * URL Hash State
+ * Serializes view state into the location hash so any view can be shared as a link
+ * and restored on load or on back/forward navigation
+ */
+
+export function readHashState() {
+  const params = new URLSearchParams(window.location.hash.replace(/^#/, ''));
+  return Object.fromEntries(params.entries());
+}
+
+/**
+ * Write state to the hash. Discrete navigation (opening a document, switching views)
+ * should push a history entry; continuous changes (zooming, sliders, typing) replace it.
+ */
+export function writeHashState(state, { push = false } = {}) {
+  const params = new URLSearchParams();
+
+  Object.entries(state).forEach(([key, value]) => {
+    if (value === null || value === undefined || value === '') return;
+    if (Array.isArray(value)) {
+      if (value.length === 0) return;
+      // Items are encoded so commas inside a value don't split it (see parseList)
+      params.set(key, value.map(encodeURIComponent).join(','));
+    } else {
+      params.set(key, value);
+    }
+  });
+
+  const hash = params.toString();
+  const url = window.location.pathname + window.location.search + (hash ? `#${hash}` : '');
+  if (url === window.location.pathname + window.location.search + window.location.hash) return;
+
+  if (push) {
+    history.pushState(null, '', url);
+  } else {
+    history.replaceState(null, '', url);
+  }
+}
+
+export function onHashStateChange(callback) {
+  window.addEventListener('popstate', () => callback(readHashState()));
+}
+
+export function parseList(value) {
+  return value ? value.split(',').filter(Boolean).map(decodeListItem) : [];
+}
+
+function decodeListItem(item) {
+  // Links written before items were encoded may hold a bare '%'
+  try {
+    return decodeURIComponent(item);
+  } catch {
+    return item;
+  }
+}
+
+export function formatRange(start, end) {
+  return `${start}..${end}`;
+}
+
+export function parseRange(value) {
+  if (!value) return null;
+  const [start, end] = value.split('..').map(v => parseInt(v));
+  return Number.isNaN(start) || Number.isNaN(end) ? null : [start, end];
+}
+
+export function formatTransform(transform) {
+  if (!transform || (transform.x === 0 && transform.y === 0 && transform.k === 1)) return null;
+  return [transform.x, transform.y, transform.k].map(v => +v.toFixed(3)).join(',');
+}
+
+export function parseTransform(value) {
+  if (!value) return null;
+  const [x, y, k] = value.split(',').map(parseFloat);
+  return [x, y, k].some(Number.isNaN) ? null : { x, y, k };
+}
@@ -1,15 +1,71 @@
 import { defineConfig } from 'vite'
-import { resolve } from 'path'
+import { resolve, relative } from 'path'
+import { createHash } from 'crypto'
+import { readFileSync, readdirSync, writeFileSync } from 'fs'
+
+// Lists every file the build emits so the service worker (public/sw.js) can precache the app shell
+function precacheManifest() {
+  return {
+    name: 'precache-manifest',
+    apply: 'build',
+    generateBundle(options, bundle) {
+      const files = Object.keys(bundle)
+        .filter(file => !file.endsWith('.map'))
+        .map(file => `/${file}`)
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.json',
+        source: JSON.stringify(files)
+      })
+    }
+  }
+}
+
+// Stamps dist/sw.js with a hash of everything else in dist, data files included,
+// so a deploy that changes any of them replaces the service worker's caches
+function serviceWorkerVersion() {
+  let outDir
+
+  return {
+    name: 'service-worker-version',
+    apply: 'build',
+    configResolved(config) {
+      outDir = resolve(config.root, config.build.outDir)
+    },
+    writeBundle() {
+      const swPath = resolve(outDir, 'sw.js')
+      const hash = createHash('sha256')
+
+      readdirSync(outDir, { recursive: true, withFileTypes: true })
+        .filter(entry => entry.isFile())
+        .map(entry => resolve(entry.parentPath ?? entry.path, entry.name))
+        .filter(file => file !== swPath && !file.endsWith('.map'))
+        .sort()
+        .forEach(file => {
+          hash.update(relative(outDir, file))
+          hash.update(readFileSync(file))
+        })
+
+      const source = readFileSync(swPath, 'utf8')
+      writeFileSync(swPath, source.replace('__BUILD_VERSION__', hash.digest('hex').slice(0, 12)))
+    }
+  }
+}
 
 export default defineConfig({
   root: '.',
   publicDir: 'public',
+  plugins: [precacheManifest(), serviceWorkerVersion()],
   build: {
     outDir: 'dist',
     sourcemap: true,
     rollupOptions: {
       input: {
-        main: resolve(__dirname, 'radial_tree.html')
+        main: resolve(__dirname, 'index.html'),
+        tree: resolve(__dirname, 'radial_tree.html'),
+        journey: resolve(__dirname, 'journey.html'),
+        landing: resolve(__dirname, 'index_landing.html')
       },
       output: {
         manualChunks: {